@@ -1,31 +1,439 @@
+import re
+from zoneinfo import ZoneInfo
+
 import frappe
 from frappe import _
+from frappe.utils import escape_html, get_datetime, get_fullname, get_system_timezone, now_datetime
+from frappe.utils.html_utils import sanitize_html
+
+from frappe_desk_theme.html_sanitizer import sanitize_footer_html
+
+# Assignment rules win in this order; within a level the theme priority decides
+ASSIGNMENT_SPECIFICITY = {
+    "User": 3,
+    "User Permission": 2,
+    "Role": 1,
+}
+
+
+def get_theme_name_for_user(user=None):
+    """Resolve which Desk Theme applies to a user.
+
+    User rules beat User Permission rules, which beat Role rules. Ties are broken by
+    the theme priority. Users without a matching rule (and Guest) get the default theme.
+
+    Scheduled themes are ignored outside their windows. Inside a window they override
+    the regular themes of their assignees, or of everyone when they have no rules.
+    """
+    user = user or frappe.session.user
+    active, inactive = get_scheduled_themes()
+
+    rules = [
+        rule
+        for rule in frappe.get_all(
+            "Desk Theme Assignment",
+            filters={"parenttype": "Desk Theme", "parentfield": "assignments"},
+            fields=["parent", "applies_to", "role", "user", "allow", "for_value"],
+        )
+        if rule.parent not in inactive
+    ]
+    matched = get_matching_rules(rules, user) if user != "Guest" else []
+
+    priorities = dict(frappe.get_all("Desk Theme", fields=["name", "priority"], as_list=True))
+
+    def pick(candidates):
+        # candidates are (specificity, theme name) pairs
+        ranked = [((specificity, priorities.get(theme) or 0), theme) for specificity, theme in candidates]
+        return max(ranked)[1] if ranked else None
+
+    assigned = {rule.parent for rule in rules}
+    campaign_theme = pick(
+        [(ASSIGNMENT_SPECIFICITY[rule.applies_to], rule.parent) for rule in matched if rule.parent in active]
+        + [(0, theme) for theme in active - assigned]
+    )
+    if campaign_theme:
+        return campaign_theme
+
+    assigned_theme = pick((ASSIGNMENT_SPECIFICITY[rule.applies_to], rule.parent) for rule in matched)
+    if assigned_theme:
+        return assigned_theme
+
+    return frappe.db.get_value("Desk Theme", {"is_default": 1}) or next(
+        (
+            theme
+            for theme in frappe.get_all("Desk Theme", order_by="creation asc", pluck="name")
+            if theme not in active and theme not in inactive
+        ),
+        None,
+    )
+
+
+def get_matching_rules(rules, user):
+    """Return the assignment rules that apply to a user"""
+    roles = set(frappe.get_roles(user))
+    permissions = {
+        (p.allow, p.for_value)
+        for p in frappe.get_all("User Permission", filters={"user": user}, fields=["allow", "for_value"])
+    }
+
+    def matches(rule):
+        if rule.applies_to == "User":
+            return rule.user == user
+        if rule.applies_to == "User Permission":
+            return (rule.allow, rule.for_value) in permissions
+        return rule.role in roles
+
+    return [rule for rule in rules if rule.applies_to in ASSIGNMENT_SPECIFICITY and matches(rule)]
+
+
+def get_scheduled_themes():
+    """Return (active, inactive) sets of the names of themes that have schedule windows"""
+    now = now_datetime()
+    scheduled, active = set(), set()
+    for window in frappe.get_all(
+        "Desk Theme Schedule",
+        filters={"parenttype": "Desk Theme", "parentfield": "schedules"},
+        fields=["parent", "starts_on", "ends_on"],
+    ):
+        scheduled.add(window.parent)
+        if window.starts_on <= now <= window.ends_on:
+            active.add(window.parent)
+    return active, scheduled - active
+
+
+def get_theme_for_user(user=None):
+    """Return the resolved Desk Theme document for a user, or None if no theme exists"""
+    theme_name = get_theme_name_for_user(user)
+    return frappe.get_doc("Desk Theme", theme_name) if theme_name else None
+
+
+def get_theme_version(user=None):
+    """Return the version stamp of the theme resolved for a user, or None if no theme exists"""
+    theme_name = get_theme_name_for_user(user)
+    if not theme_name:
+        return None
+    version, modified = frappe.db.get_value("Desk Theme", theme_name, ["theme_version", "modified"])
+    # Themes saved before versioning was introduced fall back to their modified timestamp
+    return add_user_override_version(version or str(modified), user)
+
+
+def add_user_override_version(theme_version, user=None):
+    """Stamp the user's overrides onto a theme version, cached themes include them"""
+    override_modified = frappe.db.get_value(
+        "Desk Theme User Override", user or frappe.session.user, "modified"
+    )
+    return f"{theme_version}:{override_modified}" if override_modified else theme_version
+
+
+@frappe.whitelist(allow_guest=True)
+def get_custom_theme_version():
+    """Cheap endpoint for pages without boot info (login) to revalidate their cached theme"""
+    return get_theme_version()
+
+
+# Fields the login page renders, the only ones sent to guests (dark variants included)
+GUEST_THEME_FIELDS = (
+    "page_background_type",
+    "login_page_background_color",
+    "login_page_background_image",
+    "login_image_variants",
+    "login_layout",
+    "login_box_position",
+    "login_box_side_offset",
+    "login_box_top_offset",
+    "login_image_side",
+    "login_image_width",
+    "login_background_blur",
+    "login_panel_bottom_offset",
+    "announcement_message",
+    "announcement_severity",
+    "announcement_expires_on",
+    "login_links",
+    "privacy_policy_url",
+    "login_content",
+    "login_content_position",
+    "login_box_background_color",
+    "is_app_details_inside_the_box",
+    "login_page_title",
+    "page_heading_text_color",
+    "login_button_background_color",
+    "login_button_text_color",
+    "login_page_button_hover_background_color",
+    "login_page_button_hover_text_color",
+    "button_background_color",
+    "button_text_color",
+    "button_hover_background_color",
+    "button_hover_text_color",
+    "input_background_color",
+    "input_border_color",
+    "input_text_color",
+    "input_label_color",
+    "ui_font_family",
+    "ui_font_file",
+    "ui_font_url",
+    "heading_font_family",
+    "heading_font_file",
+    "heading_font_url",
+    "base_font_size",
+    "density",
+    "shadow_intensity",
+    "button_border_radius",
+    "input_border_radius",
+    "card_border_radius",
+    "custom_css",
+)
+
+# Desk settings sent to logged in users, on top of the guest fields and every standard color
+DESK_THEME_FIELDS = (
+    "theme_name",
+    "disable_card_view_on_mobile_view",
+    "disable_flex_card_content_on_mobile_view",
+    "content_max_width",
+    "visibility_rules",
+    "css_blocks",
+    "default_app",
+    "copyright_text",
+    "footer_powered_by",
+    "footer_logo",
+    "footer_links",
+    "sticky_footer",
+)
+
+
+def get_theme_fields(user=None):
+    """Return the Desk Theme fields get_custom_theme exposes to a user.
+
+    Custom fields are never exposed unless an app opts them in through the
+    `desk_theme_guest_fields` or `desk_theme_desk_fields` hooks.
+    """
+    user = user or frappe.session.user
+    meta = frappe.get_meta("Desk Theme")
+
+    fields = list(GUEST_THEME_FIELDS) + frappe.get_hooks("desk_theme_guest_fields")
+    fields += [f"dark_{fieldname}" for fieldname in GUEST_THEME_FIELDS]
+    if user != "Guest":
+        fields += [
+            df.fieldname for df in meta.fields if df.fieldtype == "Color" and not df.get("is_custom_field")
+        ]
+        fields += list(DESK_THEME_FIELDS) + frappe.get_hooks("desk_theme_desk_fields")
+
+    return [fieldname for fieldname in dict.fromkeys(fields) if meta.has_field(fieldname)]
+
 
 @frappe.whitelist(allow_guest=True)
 def get_custom_theme():
-    theme = frappe.get_doc("Desk Theme")
-    data = theme.as_dict()
+    theme = get_theme_for_user()
+    if not theme:
+        return {}
+
+    data = {}
+    for fieldname in get_theme_fields():
+        value = theme.get(fieldname)
+        if isinstance(value, list):
+            # Child rows without their owner/parent bookkeeping
+            value = [row.as_dict(no_default_fields=True, no_child_table_fields=True) for row in value]
+        data[fieldname] = value
+
+    prepare_login_fields(data)
+    data["theme_version"] = add_user_override_version(theme.theme_version or str(theme.modified))
+
+    # The client merges the user's own preferences over the theme
+    customizable_fields = get_user_customizable_fields(theme)
+    if customizable_fields:
+        data["user_customizable_fields"] = customizable_fields
+        data["user_overrides"] = get_user_overrides(theme)
+
     # Add carousel data if present
     carousel_data = theme.get_carousel_data() if hasattr(theme, 'get_carousel_data') else None
     if carousel_data:
         data["carousel"] = carousel_data
     return data
 
+
+def prepare_login_fields(data):
+    """Drop an expired announcement, sanitize the login content block again and parse the image variants"""
+    expires_on = data.get("announcement_expires_on")
+    if expires_on:
+        expires_on = get_datetime(expires_on)
+        if expires_on <= now_datetime():
+            data["announcement_message"] = None
+        # Cached themes outlive the request, browsers compare this absolute time to their own clock
+        expires_on = expires_on.replace(tzinfo=ZoneInfo(get_system_timezone()))
+        data["announcement_expires_on"] = expires_on.isoformat()
+
+    if data.get("login_content"):
+        data["login_content"] = sanitize_html(data["login_content"], always_sanitize=True)
+
+    if data.get("login_image_variants"):
+        data["login_image_variants"] = frappe.parse_json(data["login_image_variants"])
+
+
+# Field types users can override for themselves, structural settings stay with the admin
+USER_OVERRIDE_FIELDTYPES = ("Color", "Select", "Int", "Check")
+
+
+def get_user_override_candidates():
+    """Return the Desk Theme fields admins can let users override, labelled with their tab"""
+    # Every logged in user gets the desk schema, any of them will do here
+    desk_fields = set(get_theme_fields("Administrator"))
+
+    candidates, tab = [], None
+    for df in frappe.get_meta("Desk Theme").fields:
+        if df.fieldtype == "Tab Break":
+            tab = df.label
+        if df.fieldname not in desk_fields or df.fieldtype not in USER_OVERRIDE_FIELDTYPES:
+            continue
+
+        label = f"{_(tab)}: {_(df.label)}" if tab else _(df.label)
+        if df.fieldname.startswith("dark_"):
+            label = _("{0} (Dark)").format(label)
+        candidates.append(
+            frappe._dict(
+                fieldname=df.fieldname,
+                fieldtype=df.fieldtype,
+                label=label,
+                options=df.options,
+                description=df.description,
+            )
+        )
+    return candidates
+
+
+def get_user_customizable_fields(theme):
+    """Return the fields of a theme its admin lets users override"""
+    candidates = {df.fieldname for df in get_user_override_candidates()}
+    return [row.fieldname for row in theme.get("user_customizable_fields") if row.fieldname in candidates]
+
+
+def get_user_overrides(theme, user=None):
+    """Return a user's overrides, limited to the fields the theme currently allows"""
+    user = user or frappe.session.user
+    overrides = user != "Guest" and frappe.db.get_value("Desk Theme User Override", user, "overrides")
+    if not overrides:
+        return {}
+
+    allowed = get_user_customizable_fields(theme)
+    return {
+        fieldname: value for fieldname, value in frappe.parse_json(overrides).items() if fieldname in allowed
+    }
+
+
+@frappe.whitelist()
+def get_customizable_field_options():
+    """Options for the customizable fields table of the Desk Theme form"""
+    frappe.has_permission("Desk Theme", "read", throw=True)
+    return [{"value": df.fieldname, "label": df.label} for df in get_user_override_candidates()]
+
+
+@frappe.whitelist()
+def get_user_preferences():
+    """Fields the current user may override, with the values they chose"""
+    theme = get_theme_for_user()
+    if not theme:
+        return {"fields": [], "values": {}}
+
+    allowed = get_user_customizable_fields(theme)
+    return {
+        "fields": [df for df in get_user_override_candidates() if df.fieldname in allowed],
+        "values": get_user_overrides(theme),
+    }
+
+
+@frappe.whitelist()
+def save_user_preferences(values):
+    """Save the current user's overrides, values for fields the theme does not allow are dropped"""
+    theme = get_theme_for_user()
+    if not theme:
+        frappe.throw(_("No Desk Theme is configured"))
+
+    allowed = get_user_customizable_fields(theme)
+    values = frappe.parse_json(values) or {}
+    overrides = {
+        fieldname: value
+        for fieldname, value in values.items()
+        if fieldname in allowed and value not in (None, "")
+    }
+
+    user = frappe.session.user
+    if frappe.db.exists("Desk Theme User Override", user):
+        override = frappe.get_doc("Desk Theme User Override", user)
+    else:
+        override = frappe.new_doc("Desk Theme User Override")
+        override.user = user
+    override.overrides = frappe.as_json(overrides)
+    override.save(ignore_permissions=True)
+
+
+# Footers show the year and the user's name, a stale one is rebuilt within the hour
+FOOTER_CACHE_TTL = 60 * 60
+FOOTER_PLACEHOLDER = re.compile(r"\{(\w+)\}")
+
+
+def get_footer_placeholders(user=None):
+    """Values of the placeholders footer texts and link labels may contain"""
+    user = user or frappe.session.user
+    return {
+        "year": str(now_datetime().year),
+        "site_name": frappe.db.get_single_value("Website Settings", "app_name") or frappe.local.site,
+        "app_version": frappe.__version__,
+        "user_fullname": get_fullname(user) if user != "Guest" else "",
+    }
+
+
+def replace_placeholders(text, values, escape=False):
+    """Replace the {placeholders} of a footer text, unknown ones are kept as typed"""
+    if not text:
+        return text
+
+    def replace(match):
+        value = values.get(match.group(1))
+        if value is None:
+            return match.group(0)
+        return escape_html(value) if escape else value
+
+    return FOOTER_PLACEHOLDER.sub(replace, text)
+
+
+def render_footer(theme):
+    values = get_footer_placeholders()
+    roles = set(frappe.get_roles())
+    links = [
+        {
+            "label": replace_placeholders(row.label, values),
+            "url": row.url,
+            "open_in_new_tab": row.open_in_new_tab,
+        }
+        for row in theme.footer_links
+        if not row.role or row.role in roles
+    ]
+    context = {
+        "copyright_text": replace_placeholders(theme.copyright_text, values),
+        # Powered by text is HTML, sanitized on save and again here for values saved before that
+        "footer_powered_by": sanitize_footer_html(
+            replace_placeholders(theme.footer_powered_by, values, escape=True)
+        )[0],
+        "footer_logo": theme.footer_logo,
+        "footer_links": links,
+        "sticky_footer": theme.sticky_footer,
+    }
+    return frappe.render_template("frappe_desk_theme/templates/includes/desk_footer.html", context)
+
+
 @frappe.whitelist(allow_guest=True)
 def get_footer_html():
-    """Get rendered footer HTML template with theme data"""
+    """Get rendered footer HTML template with theme data, cached per user and theme version"""
     try:
-        theme = frappe.get_doc("Desk Theme")
-        
-        # Prepare context for template
-        context = {
-            'copyright_text': theme.copyright_text,
-            'footer_powered_by': theme.footer_powered_by,
-            'sticky_footer': theme.sticky_footer
-        }
-        
-        # Render the template
-        return frappe.render_template("frappe_desk_theme/templates/includes/desk_footer.html", context)
+        theme = get_theme_for_user()
+        if not theme:
+            return ""
+
+        theme_version = add_user_override_version(theme.theme_version or str(theme.modified))
+        cache_key = f"desk_theme_footer:{frappe.session.user}:{theme_version}"
+        footer_html = frappe.cache().get_value(cache_key)
+        if footer_html is None:
+            footer_html = render_footer(theme)
+            frappe.cache().set_value(cache_key, footer_html, expires_in_sec=FOOTER_CACHE_TTL)
+        return footer_html
     except Exception as e:
         frappe.log_error(f"Error rendering footer template: {str(e)}")
         return ""
\ No newline at end of file
@@ -0,0 +1,53 @@
+import frappe
+from frappe.utils import escape_html
+
+from frappe_desk_theme.api import add_user_override_version, get_theme_for_user
+from frappe_desk_theme.theme_css import get_theme_css
+
+# Versions change on every theme save, stale entries only wait for expiry
+THEME_CSS_CACHE_TTL = 60 * 60
+
+
+def extend_bootinfo(bootinfo):
+	"""Ship the resolved theme version with boot so the desk can revalidate its cache without a request
+
+	The theme CSS comes along, the desk is styled before the theme script has loaded anything.
+	Set through extend_bootinfo, boot_session output is cached per user and would outlive theme saves.
+	"""
+	theme = get_theme_for_user()
+	bootinfo.desk_theme_version = get_version(theme) if theme else None
+	bootinfo.desk_theme_css = get_theme_css(theme) if theme else ""
+
+
+def update_website_context(context):
+	"""Inline the theme CSS into the head of the login page, ahead of any script
+
+	Other web pages are left alone, they would resolve the theme on every request. Failures are
+	logged and the page renders without the CSS, the theme script still styles it.
+	"""
+	if context.get("path") != "login":
+		return
+
+	try:
+		theme = get_theme_for_user()
+		if not theme:
+			return
+
+		version = get_version(theme)
+		cache_key = f"desk_theme_css:{frappe.session.user}:{version}"
+		css = frappe.cache().get_value(cache_key)
+		if css is None:
+			css = get_theme_css(theme)
+			frappe.cache().set_value(cache_key, css, expires_in_sec=THEME_CSS_CACHE_TTL)
+	except Exception as e:
+		frappe.log_error(f"Error rendering login page theme CSS: {e!s}")
+		return
+
+	if css:
+		style = f'<style id="desk-theme-server-css" data-theme-version="{escape_html(version)}">{css}</style>'
+		context.head_html = (context.get("head_html") or "") + style
+
+
+def get_version(theme):
+	# Same stamp as get_theme_version, without resolving the theme again
+	return add_user_override_version(theme.theme_version or str(theme.modified))
@@ -0,0 +1,120 @@
+"""WCAG 2 contrast checks for Desk Theme foreground/background color pairs"""
+
+import re
+
+import frappe
+from frappe import _
+
+# Minimum ratios for normal size text
+WCAG_AA = 4.5
+WCAG_AAA = 7.0
+
+# (label, foreground field, background field)
+CONTRAST_PAIRS = (
+	("Navbar", "navbar_text_color", "navbar_color"),
+	("Primary Button", "button_text_color", "button_background_color"),
+	("Primary Button Hover", "button_hover_text_color", "button_hover_background_color"),
+	("Secondary Button", "secondary_button_text_color", "secondary_button_background_color"),
+	(
+		"Secondary Button Hover",
+		"secondary_button_hover_text_color",
+		"secondary_button_hover_background_color",
+	),
+	("Login Button", "login_button_text_color", "login_button_background_color"),
+	(
+		"Login Button Hover",
+		"login_page_button_hover_text_color",
+		"login_page_button_hover_background_color",
+	),
+	("Login Heading", "page_heading_text_color", "login_box_background_color"),
+	("Content Box", "main_body_content_box_text_color", "main_body_content_box_background_color"),
+	("Sidebar", "sidebar_text_color", "sidebar_background_color"),
+	("Table Head", "table_head_text_color", "table_head_background_color"),
+	("Table Body", "table_body_text_color", "table_body_background_color"),
+	("Input", "input_text_color", "input_background_color"),
+	("Number Card", "number_card_text_color", "number_card_background_color"),
+	("Footer", "footer_text_color", "footer_background_color"),
+)
+
+HEX_COLOR = re.compile(r"^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$")
+
+
+def parse_hex_color(value):
+	"""Return an (r, g, b) tuple for a hex color, or None if the value is not a hex color"""
+	match = HEX_COLOR.match((value or "").strip())
+	if not match:
+		return None
+
+	digits = match.group(1)
+	if len(digits) == 3:
+		digits = "".join(char * 2 for char in digits)
+	return tuple(int(digits[i : i + 2], 16) for i in (0, 2, 4))
+
+
+def get_relative_luminance(rgb):
+	def channel(value):
+		value /= 255
+		return value / 12.92 if value <= 0.03928 else ((value + 0.055) / 1.055) ** 2.4
+
+	r, g, b = (channel(value) for value in rgb)
+	return 0.2126 * r + 0.7152 * g + 0.0722 * b
+
+
+def get_contrast_ratio(foreground, background):
+	"""Return the WCAG contrast ratio of two hex colors, or None if either is not a hex color"""
+	foreground, background = parse_hex_color(foreground), parse_hex_color(background)
+	if not foreground or not background:
+		return None
+
+	lighter, darker = sorted(
+		(get_relative_luminance(foreground), get_relative_luminance(background)), reverse=True
+	)
+	return (lighter + 0.05) / (darker + 0.05)
+
+
+def get_contrast_report(theme):
+	"""Check every configured color pair of a theme, including dark mode variants
+
+	Pairs with a missing or non-hex color are skipped.
+	"""
+	report = []
+	for label, foreground_field, background_field in CONTRAST_PAIRS:
+		variants = [(_(label), theme.get(foreground_field), theme.get(background_field))]
+
+		# Dark variants fall back to the light color, same as the client
+		dark_foreground, dark_background = (
+			theme.get(f"dark_{foreground_field}"),
+			theme.get(f"dark_{background_field}"),
+		)
+		if dark_foreground or dark_background:
+			variants.append(
+				(
+					_("{0} (Dark)").format(_(label)),
+					dark_foreground or theme.get(foreground_field),
+					dark_background or theme.get(background_field),
+				)
+			)
+
+		for variant_label, foreground, background in variants:
+			ratio = get_contrast_ratio(foreground, background)
+			if ratio is None:
+				continue
+
+			report.append(
+				{
+					"label": variant_label,
+					"foreground": foreground,
+					"background": background,
+					"ratio": round(ratio, 2),
+					"aa": ratio >= WCAG_AA,
+					"aaa": ratio >= WCAG_AAA,
+				}
+			)
+	return report
+
+
+@frappe.whitelist()
+def get_theme_contrast_report(doc):
+	"""Contrast report for the unsaved Desk Theme form"""
+	frappe.has_permission("Desk Theme", "read", throw=True)
+	return get_contrast_report(frappe.parse_json(doc))
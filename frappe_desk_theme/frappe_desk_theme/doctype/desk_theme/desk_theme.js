@@ -8,6 +8,16 @@
 // });
 
 frappe.ui.form.on("Desk Theme", {
+	setup(frm) {
+		// Never leave a preview behind when navigating away from the form
+		frappe.router.on("change", () => {
+			const [view, doctype, name] = frappe.get_route();
+			if (frm.theme_preview && (view !== "Form" || doctype !== frm.doctype || name !== frm.docname)) {
+				stop_theme_preview(frm);
+			}
+		});
+	},
+
 	refresh(frm) {
 		// Load app options for default_app field
 		frappe.xcall("frappe.apps.get_apps").then((r) => {
@@ -15,20 +25,17 @@ frappe.ui.form.on("Desk Theme", {
 			frm.set_df_property("default_app", "options", ["", ...apps]);
 		});
 
-		// Load current system default app if hide_app_switcher is enabled
-		if (frm.doc.hide_app_switcher) {
-			frappe.call({
-				method: "frappe.client.get_value",
-				args: {
-					doctype: "System Settings",
-					fieldname: "default_app"
-				},
-				callback: function(r) {
-					if (r.message && r.message.default_app) {
-						frm.set_value("default_app", r.message.default_app);
-					}
-				}
-			});
+		// Load the fields users may be allowed to override
+		frappe.xcall("frappe_desk_theme.api.get_customizable_field_options").then((options) => {
+			frm.fields_dict.user_customizable_fields.grid.update_docfield_property("fieldname", "options", [
+				"",
+				...options,
+			]);
+		});
+
+		// Load current system default app if a rule hides the app switcher
+		if (hides_app_switcher(frm) && !frm.doc.default_app) {
+			load_system_default_app(frm);
 		}
 
         // Add refresh theme button       
@@ -37,39 +44,60 @@ frappe.ui.form.on("Desk Theme", {
             window.frappeDeskTheme?.refreshTheme();
             frappe.show_alert({message: __('Theme refreshed'), indicator: 'green'});
         });
-	},
 
-	hide_app_switcher(frm) {
-		if (frm.doc.hide_app_switcher) {
-			// Load current system default app when hide_app_switcher is checked
-			frappe.call({
-				method: "frappe.client.get_value",
-				args: {
-					doctype: "System Settings",
-					fieldname: "default_app"
-				},
-				callback: function(r) {
-					if (r.message && r.message.default_app) {
-						frm.set_value("default_app", r.message.default_app);
-					}
-				}
-			});
-		} else {
-			// Clear default_app when hide_app_switcher is unchecked
-			frm.set_value("default_app", "");
+		// Preview unsaved values on this desk only, other sessions keep the saved theme
+		frm.add_custom_button(
+			__("Apply Preview"),
+			() => {
+				frm.theme_preview = true;
+				window.frappeDeskTheme?.previewTheme(frm.doc);
+				frappe.show_alert({
+					message: __("Previewing unsaved theme, color changes apply as you edit"),
+					indicator: "blue",
+				});
+			},
+			__("Preview")
+		);
+		frm.add_custom_button(
+			__("Revert"),
+			() => {
+				stop_theme_preview(frm);
+				frappe.show_alert({ message: __("Preview reverted"), indicator: "green" });
+			},
+			__("Preview")
+		);
+
+		// Move themes between sites as JSON bundles
+		if (!frm.is_new()) {
+			frm.add_custom_button(__("Export Theme"), () => export_theme(frm), __("Actions"));
 		}
+		frm.add_custom_button(__("Import Theme"), () => import_theme(frm), __("Actions"));
+		frm.add_custom_button(__("Generate from Brand Color"), () => generate_palette_dialog(frm), __("Actions"));
+
+		render_login_preview(frm);
+		render_contrast_report(frm);
+	},
+
+	carousel_images_remove(frm) {
+		update_login_preview_debounced(frm);
 	},
 
 	validate(frm) {
-		// Validate that default_app is set when hide_app_switcher is checked
-		if (frm.doc.hide_app_switcher && !frm.doc.default_app) {
+		// Validate that default_app is set when a rule hides the app switcher
+		if (hides_app_switcher(frm) && !frm.doc.default_app) {
 			frappe.throw(__("Default App is required when App Switcher is hidden"));
 		}
 	},
 
 	after_save(frm) {
+		// The saved theme replaces the preview here right away, other sessions hear about it through realtime
+		if (frm.theme_preview) {
+			stop_theme_preview(frm);
+			window.frappeDeskTheme?.refreshTheme();
+		}
+
 		// Update system settings with the selected default app
-		if (frm.doc.hide_app_switcher && frm.doc.default_app) {
+		if (hides_app_switcher(frm) && frm.doc.default_app) {
 			frappe.call({
 				method: "frappe_desk_theme.frappe_desk_theme.doctype.desk_theme.desk_theme.update_system_default_app",
 				args: {
@@ -87,3 +115,649 @@ frappe.ui.form.on("Desk Theme", {
 		}
 	}
 });
+
+frappe.ui.form.on("Desk Theme Carousel Images", {
+	image(frm) {
+		update_login_preview_debounced(frm);
+	},
+	caption(frm) {
+		update_login_preview_debounced(frm);
+	},
+	subtitle(frm) {
+		update_login_preview_debounced(frm);
+	},
+	duration(frm) {
+		update_login_preview_debounced(frm);
+	},
+	focal_point(frm) {
+		update_login_preview_debounced(frm);
+	},
+});
+
+frappe.ui.form.on("Desk Theme Assignment", {
+	applies_to(frm, cdt, cdn) {
+		// Clear values that belong to the previously selected rule type
+		["role", "user", "allow", "for_value"].forEach((fieldname) => {
+			frappe.model.set_value(cdt, cdn, fieldname, "");
+		});
+	},
+});
+
+frappe.ui.form.on("Desk Theme Visibility Rule", {
+	element(frm, cdt, cdn) {
+		const rule = locals[cdt][cdn];
+		if (rule.element !== "Custom Selector") {
+			frappe.model.set_value(cdt, cdn, "selector", "");
+		}
+		// Load current system default app when a rule starts hiding the app switcher
+		if (hides_app_switcher(frm) && !frm.doc.default_app) {
+			load_system_default_app(frm);
+		}
+	},
+});
+
+// Re-apply the live preview whenever a field changes, keep the login preview in sync
+frappe.model.on("Desk Theme", "*", (fieldname, value, doc) => {
+	if (cur_frm?.doctype !== "Desk Theme" || cur_frm.doc.name !== doc.name) {
+		return;
+	}
+
+	if (cur_frm.theme_preview) {
+		window.frappeDeskTheme?.previewTheme(doc);
+	}
+	if (frappe.meta.get_docfield("Desk Theme", fieldname)?.fieldtype === "Color") {
+		clearTimeout(cur_frm.contrast_report_timeout);
+		cur_frm.contrast_report_timeout = setTimeout(() => render_contrast_report(cur_frm), 500);
+	}
+	update_login_preview_debounced(cur_frm);
+});
+
+// The login page inside the preview frame asks for the document once its theme script is ready
+// The sandboxed frame has an opaque origin, it is recognized by its window instead
+window.addEventListener("message", (event) => {
+	if (cur_frm?.doctype !== "Desk Theme" || event.data?.type !== "desk-theme-preview-ready") {
+		return;
+	}
+	if (event.source === get_login_preview_frame(cur_frm)?.contentWindow) {
+		cur_frm.login_preview_ready = true;
+		update_login_preview(cur_frm);
+	}
+});
+
+function hides_app_switcher(frm) {
+	return (frm.doc.visibility_rules || []).some(
+		(rule) => rule.element === "App Switcher" && ["Hide", "Disable"].includes(rule.action)
+	);
+}
+
+function load_system_default_app(frm) {
+	frappe.db.get_single_value("System Settings", "default_app").then((default_app) => {
+		if (default_app) {
+			frm.set_value("default_app", default_app);
+		}
+	});
+}
+
+function render_login_preview(frm) {
+	const $wrapper = frm.get_field("login_preview").$wrapper;
+	if ($wrapper.find(".login-preview-frame").length) {
+		update_login_preview(frm);
+		return;
+	}
+
+	frm.login_preview_viewport = frm.login_preview_viewport || "desktop";
+	// Without allow-same-origin the frame gets an opaque origin: it can not reach this page, the
+	// session's cookies or storage, and can not lift its own sandbox. Web fonts served without
+	// CORS headers fall back to the system font inside the preview.
+	$wrapper.html(`
+		<div class="login-preview">
+			<div class="login-preview-toolbar btn-group">
+				<button class="btn btn-default btn-xs" data-viewport="desktop">${__("Desktop")}</button>
+				<button class="btn btn-default btn-xs" data-viewport="mobile">${__("Mobile")}</button>
+			</div>
+			<div class="login-preview-viewport">
+				<iframe class="login-preview-frame" title="${__("Login Page Preview")}"
+					sandbox="allow-scripts"></iframe>
+			</div>
+		</div>
+	`);
+
+	$wrapper.find("[data-viewport]").on("click", (event) => {
+		frm.login_preview_viewport = $(event.currentTarget).attr("data-viewport");
+		fit_login_preview(frm);
+	});
+
+	// Load the login page only once the section is visible, and refit on resize
+	const preview = $wrapper.find(".login-preview").get(0);
+	new ResizeObserver(() => {
+		if (!preview.offsetWidth) {
+			return;
+		}
+		const frame = preview.querySelector(".login-preview-frame");
+		if (!frame.getAttribute("src")) {
+			// Every page load in the frame has to say it is the preview again before it gets the
+			// document, a link followed to another site never does. The ping covers a ready
+			// message that arrived before the load event.
+			frame.addEventListener("load", () => {
+				frm.login_preview_ready = false;
+				frame.contentWindow?.postMessage({ type: "desk-theme-preview-ping" }, "*");
+			});
+			// redirect-to=login keeps logged in users on the login page
+			frame.setAttribute("src", "/login?redirect-to=login&desk_theme_preview=1");
+		}
+		fit_login_preview(frm);
+	}).observe(preview);
+}
+
+function fit_login_preview(frm) {
+	const $wrapper = frm.get_field("login_preview").$wrapper;
+	const viewports = {
+		desktop: { width: 1280, height: 800 },
+		mobile: { width: 375, height: 740 },
+	};
+	const viewport = viewports[frm.login_preview_viewport];
+	const $viewport = $wrapper.find(".login-preview-viewport");
+	const scale = Math.min(1, $viewport.width() / viewport.width) || 1;
+
+	$wrapper.find("[data-viewport]").each((i, button) => {
+		$(button).toggleClass("active", button.dataset.viewport === frm.login_preview_viewport);
+	});
+	$wrapper.find(".login-preview-frame").css({
+		width: `${viewport.width}px`,
+		height: `${viewport.height}px`,
+		transform: `scale(${scale})`,
+	});
+	$viewport.css("height", `${viewport.height * scale}px`);
+}
+
+function get_login_preview_frame(frm) {
+	return frm.get_field("login_preview")?.$wrapper.find(".login-preview-frame").get(0);
+}
+
+function update_login_preview(frm) {
+	if (!frm.login_preview_ready) {
+		return;
+	}
+	// An opaque origin can not be targeted by name, the message goes to this frame's window only
+	get_login_preview_frame(frm)?.contentWindow?.postMessage(
+		{ type: "desk-theme-preview", theme: get_login_preview_theme(frm) },
+		"*"
+	);
+}
+
+function update_login_preview_debounced(frm) {
+	clearTimeout(frm.login_preview_timeout);
+	frm.login_preview_timeout = setTimeout(() => update_login_preview(frm), 300);
+}
+
+function get_login_preview_theme(frm) {
+	// Superset of what frappe_desk_theme.api.get_custom_theme returns, built from the unsaved document
+	const theme = JSON.parse(JSON.stringify(frm.doc));
+	// The frame's origin can not be verified, leave out who owns the theme and whom it is assigned to
+	["owner", "modified_by", "assignments", "schedules"].forEach((fieldname) => delete theme[fieldname]);
+	theme.login_image_variants = JSON.parse(frm.doc.login_image_variants || "{}");
+	const slides = (frm.doc.carousel_images || [])
+		.filter((row) => row.image)
+		.map(({ image, caption, subtitle, link, duration, focal_point }) => ({
+			image,
+			caption,
+			subtitle,
+			link,
+			duration,
+			focal_point,
+		}));
+	if (frm.doc.page_background_type === "Carousel" && slides.length) {
+		theme.carousel = {
+			images: slides.map((slide) => slide.image),
+			slides,
+			manual_navigation: frm.doc.allow_manual_navigation,
+			auto_advance: true,
+			transition: frm.doc.carousel_transition || "Fade",
+			pause_on_hover: frm.doc.carousel_pause_on_hover,
+		};
+	}
+	return theme;
+}
+
+function stop_theme_preview(frm) {
+	frm.theme_preview = false;
+	window.frappeDeskTheme?.revertPreview();
+}
+
+function render_contrast_report(frm) {
+	frappe
+		.xcall("frappe_desk_theme.contrast.get_theme_contrast_report", { doc: frm.doc })
+		.then((report) => {
+			const $wrapper = frm.get_field("contrast_report").$wrapper;
+			if (!report.length) {
+				$wrapper.html(
+					`<p class="text-muted">${__("Set text and background colors to check their contrast")}</p>`
+				);
+				return;
+			}
+
+			const result = (pass) =>
+				pass
+					? `<span class="indicator-pill green">${__("Pass")}</span>`
+					: `<span class="indicator-pill red">${__("Fail")}</span>`;
+			const rows = report
+				.map(
+					(row) => `<tr>
+						<td>${frappe.utils.escape_html(row.label)}</td>
+						<td>
+							<span class="contrast-sample" style="color: ${frappe.utils.escape_html(row.foreground)};
+								background-color: ${frappe.utils.escape_html(row.background)}">Aa</span>
+						</td>
+						<td>${row.ratio}:1</td>
+						<td>${result(row.aa)}</td>
+						<td>${result(row.aaa)}</td>
+					</tr>`
+				)
+				.join("");
+
+			$wrapper.html(`
+				<table class="table table-bordered table-sm">
+					<thead><tr>
+						<th>${__("Pair")}</th><th>${__("Sample")}</th><th>${__("Ratio")}</th>
+						<th>${__("AA (4.5:1)")}</th><th>${__("AAA (7:1)")}</th>
+					</tr></thead>
+					<tbody>${rows}</tbody>
+				</table>
+			`);
+		});
+}
+
+function export_theme(frm) {
+	frappe.prompt(
+		{
+			fieldname: "embed_images",
+			fieldtype: "Check",
+			label: __("Embed Images"),
+			description: __("Include the image files in the export instead of links to this site"),
+		},
+		({ embed_images }) => {
+			frappe
+				.call({
+					method: "frappe_desk_theme.frappe_desk_theme.doctype.desk_theme.desk_theme.export_theme",
+					args: { name: frm.doc.name, embed_images },
+					freeze: true,
+				})
+				.then(({ message }) => {
+					const blob = new Blob([JSON.stringify(message, null, 2)], { type: "application/json" });
+					const link = document.createElement("a");
+					link.href = URL.createObjectURL(blob);
+					link.download = `${frappe.scrub(frm.doc.name)}.desk-theme.json`;
+					link.click();
+					URL.revokeObjectURL(link.href);
+				});
+		},
+		__("Export Theme"),
+		__("Export")
+	);
+}
+
+function import_theme(frm) {
+	const input = document.createElement("input");
+	input.type = "file";
+	input.accept = ".json,application/json";
+	input.addEventListener("change", () => {
+		const file = input.files[0];
+		if (!file) {
+			return;
+		}
+
+		file.text()
+			.then((bundle) =>
+				frappe.call({
+					method: "frappe_desk_theme.frappe_desk_theme.doctype.desk_theme.desk_theme.import_theme",
+					args: { bundle },
+					freeze: true,
+				})
+			)
+			.then(({ message }) => apply_imported_theme(frm, message))
+			.catch(() => {
+				// Server errors already show their message, this covers files that could not be read
+				frappe.show_alert({ message: __("The theme could not be imported"), indicator: "red" });
+			});
+	});
+	input.click();
+}
+
+function apply_imported_theme(frm, result) {
+	// Load values into the form only, the admin reviews them before saving
+	Object.entries(result.values).forEach(([fieldname, value]) => {
+		if (Array.isArray(value)) {
+			frm.clear_table(fieldname);
+			value.forEach((row) => frm.add_child(fieldname, row));
+			frm.refresh_field(fieldname);
+		} else {
+			frm.set_value(fieldname, value);
+		}
+	});
+	if (frm.is_new() && !frm.doc.theme_name && result.theme_name) {
+		frm.set_value("theme_name", result.theme_name);
+	}
+
+	const report = [
+		[__("Unknown keys (ignored)"), result.unknown],
+		[__("Missing keys (left unchanged)"), result.missing],
+		[__("Invalid values (ignored)"), result.invalid],
+	]
+		.filter(([, keys]) => keys.length)
+		.map(
+			([title, keys]) =>
+				`<p><b>${title}</b></p><p>${keys
+					.map((key) => `<code>${frappe.utils.escape_html(key)}</code>`)
+					.join(", ")}</p>`
+		)
+		.join("");
+
+	frappe.msgprint({
+		title: __("Theme Imported"),
+		indicator: report ? "orange" : "green",
+		message: `<p>${__("Review the imported values and save to apply them.")}</p>${report}`,
+	});
+}
+
+function generate_palette_dialog(frm) {
+	const dialog = new frappe.ui.Dialog({
+		title: __("Generate from Brand Color"),
+		fields: [
+			{
+				fieldname: "brand_color",
+				fieldtype: "Color",
+				label: __("Brand Color"),
+				reqd: 1,
+				default: frm.doc.button_background_color || frm.doc.navbar_color,
+			},
+			{
+				fieldname: "logo",
+				fieldtype: "Attach Image",
+				label: __("Or Pick from Logo"),
+				change() {
+					const logo = dialog.get_value("logo");
+					if (logo) {
+						extract_logo_colors(logo).then((colors) => render_logo_colors(dialog, colors));
+					}
+				},
+			},
+			{ fieldname: "logo_colors", fieldtype: "HTML" },
+		],
+		primary_action_label: __("Review Changes"),
+		primary_action({ brand_color }) {
+			dialog.hide();
+			review_palette(frm, generate_palette(frm, brand_color));
+		},
+	});
+	dialog.show();
+}
+
+function render_logo_colors(dialog, colors) {
+	const $wrapper = dialog.fields_dict.logo_colors.$wrapper;
+	if (!colors.length) {
+		$wrapper.html(`<p class="text-muted">${__("No distinct colors found in this image")}</p>`);
+		return;
+	}
+
+	$wrapper.html(`
+		<p class="text-muted small">${__("Dominant colors, click one to use it")}</p>
+		${colors
+			.map(
+				(color) =>
+					`<button class="btn desk-theme-swatch desk-theme-swatch-lg" data-color="${color}"
+						style="background-color: ${color}" title="${color}"></button>`
+			)
+			.join("")}
+	`);
+	$wrapper.find("[data-color]").on("click", (event) => {
+		dialog.set_value("brand_color", $(event.currentTarget).attr("data-color"));
+	});
+	dialog.set_value("brand_color", colors[0]);
+}
+
+function extract_logo_colors(url) {
+	// Quantize the downscaled logo and rank colors by frequency, ignoring transparent and near grey pixels
+	return new Promise((resolve) => {
+		const image = new Image();
+		image.onload = () => {
+			const size = 100;
+			const scale = Math.min(1, size / Math.max(image.width, image.height));
+			const canvas = document.createElement("canvas");
+			canvas.width = Math.max(1, Math.round(image.width * scale));
+			canvas.height = Math.max(1, Math.round(image.height * scale));
+			const context = canvas.getContext("2d");
+			context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+			const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+			const buckets = {};
+			for (let i = 0; i < pixels.length; i += 4) {
+				const [r, g, b, a] = pixels.slice(i, i + 4);
+				const [, saturation, lightness] = rgb_to_hsl([r, g, b]);
+				if (a < 128 || saturation < 0.2 || lightness < 0.1 || lightness > 0.92) {
+					continue;
+				}
+				const key = `${r >> 4},${g >> 4},${b >> 4}`;
+				const bucket = (buckets[key] = buckets[key] || { count: 0, r: 0, g: 0, b: 0 });
+				bucket.count++;
+				bucket.r += r;
+				bucket.g += g;
+				bucket.b += b;
+			}
+
+			const colors = Object.values(buckets)
+				.sort((a, b) => b.count - a.count)
+				.map((bucket) =>
+					rgb_to_hex([bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count])
+				);
+			resolve([...new Set(colors)].slice(0, 6));
+		};
+		image.onerror = () => resolve([]);
+		image.src = url;
+	});
+}
+
+function generate_palette(frm, brand_color) {
+	// Light colors are tints of the brand hue, dark variants are shades of it; hover states shift lightness
+	const [h, s, l] = rgb_to_hsl(hex_to_rgb(brand_color));
+	const hsl = (saturation, lightness) => rgb_to_hex(hsl_to_rgb([h, saturation, lightness]));
+	const muted = (factor, lightness) => hsl(s * factor, lightness);
+	const hover = Math.max(0, l - 0.08);
+	const dark_brand = Math.max(l, 0.55);
+
+	const palette = {
+		// Login page
+		login_button_background_color: brand_color,
+		login_button_text_color: get_contrast_text(brand_color),
+		login_page_button_hover_background_color: hsl(s, hover),
+		login_page_button_hover_text_color: get_contrast_text(hsl(s, hover)),
+		login_page_background_color: muted(0.3, 0.95),
+		login_box_background_color: "#ffffff",
+		page_heading_text_color: hsl(s, 0.25),
+		// Navbar
+		navbar_color: brand_color,
+		navbar_text_color: get_contrast_text(brand_color),
+		dark_navbar_color: muted(0.3, 0.14),
+		dark_navbar_text_color: muted(0.1, 0.9),
+		// Buttons
+		button_background_color: brand_color,
+		button_text_color: get_contrast_text(brand_color),
+		button_hover_background_color: hsl(s, hover),
+		button_hover_text_color: get_contrast_text(hsl(s, hover)),
+		secondary_button_background_color: muted(0.3, 0.94),
+		secondary_button_text_color: hsl(s, 0.25),
+		secondary_button_hover_background_color: muted(0.35, 0.88),
+		secondary_button_hover_text_color: hsl(s, 0.2),
+		dark_button_background_color: hsl(s, dark_brand),
+		dark_button_text_color: get_contrast_text(hsl(s, dark_brand)),
+		dark_button_hover_background_color: hsl(s, Math.min(1, dark_brand + 0.08)),
+		dark_button_hover_text_color: get_contrast_text(hsl(s, Math.min(1, dark_brand + 0.08))),
+		dark_secondary_button_background_color: muted(0.2, 0.22),
+		dark_secondary_button_text_color: muted(0.15, 0.88),
+		dark_secondary_button_hover_background_color: muted(0.2, 0.28),
+		dark_secondary_button_hover_text_color: muted(0.15, 0.92),
+		// Body and sidebar
+		body_background_color: muted(0.2, 0.98),
+		main_body_content_box_background_color: "#ffffff",
+		main_body_content_box_text_color: muted(0.15, 0.2),
+		sidebar_background_color: muted(0.25, 0.96),
+		sidebar_text_color: muted(0.2, 0.3),
+		dark_body_background_color: muted(0.2, 0.1),
+		dark_main_body_content_box_background_color: muted(0.2, 0.14),
+		dark_main_body_content_box_text_color: muted(0.1, 0.88),
+		dark_sidebar_background_color: muted(0.2, 0.12),
+		dark_sidebar_text_color: muted(0.1, 0.8),
+		// Table
+		table_head_background_color: muted(0.3, 0.92),
+		table_head_text_color: muted(0.3, 0.2),
+		table_body_background_color: "#ffffff",
+		table_body_text_color: muted(0.1, 0.2),
+		dark_table_head_background_color: muted(0.25, 0.18),
+		dark_table_head_text_color: muted(0.1, 0.9),
+		dark_table_body_background_color: muted(0.2, 0.14),
+		dark_table_body_text_color: muted(0.1, 0.85),
+		// Number card
+		number_card_background_color: "#ffffff",
+		number_card_border_color: muted(0.4, 0.85),
+		number_card_text_color: muted(0.3, 0.25),
+		dark_number_card_background_color: muted(0.2, 0.14),
+		dark_number_card_border_color: muted(0.3, 0.3),
+		dark_number_card_text_color: muted(0.1, 0.9),
+		// Input
+		input_background_color: muted(0.15, 0.97),
+		input_border_color: muted(0.25, 0.85),
+		input_text_color: muted(0.1, 0.2),
+		input_label_color: muted(0.15, 0.35),
+		dark_input_background_color: muted(0.2, 0.16),
+		dark_input_border_color: muted(0.2, 0.28),
+		dark_input_text_color: muted(0.1, 0.9),
+		dark_input_label_color: muted(0.1, 0.7),
+		// Footer
+		footer_background_color: muted(0.2, 0.96),
+		footer_text_color: muted(0.15, 0.35),
+		dark_footer_background_color: muted(0.2, 0.12),
+		dark_footer_text_color: muted(0.1, 0.75),
+	};
+
+	// Only keep fields this version of the doctype has
+	return Object.fromEntries(
+		Object.entries(palette).filter(([fieldname]) => frappe.meta.has_field(frm.doctype, fieldname))
+	);
+}
+
+function review_palette(frm, palette) {
+	const changes = Object.entries(palette).filter(
+		([fieldname, value]) => (frm.doc[fieldname] || "").toLowerCase() !== value.toLowerCase()
+	);
+	if (!changes.length) {
+		frappe.msgprint(__("The generated palette matches the current colors"));
+		return;
+	}
+
+	const swatch = (color) =>
+		color
+			? `<span class="desk-theme-swatch" style="background-color: ${frappe.utils.escape_html(color)}"></span>
+				<code>${frappe.utils.escape_html(color)}</code>`
+			: `<span class="text-muted">${__("Not Set")}</span>`;
+
+	const rows = changes
+		.map(([fieldname, value]) => {
+			const df = frappe.meta.get_docfield(frm.doctype, fieldname);
+			return `<tr>
+				<td>${__(df.label)} <div class="text-muted small">${fieldname}</div></td>
+				<td>${swatch(frm.doc[fieldname])}</td>
+				<td>${swatch(value)}</td>
+			</tr>`;
+		})
+		.join("");
+
+	const dialog = new frappe.ui.Dialog({
+		title: __("Review Palette"),
+		size: "large",
+		fields: [{ fieldname: "diff", fieldtype: "HTML" }],
+		primary_action_label: __("Apply {0} Colors", [changes.length]),
+		primary_action() {
+			changes.forEach(([fieldname, value]) => frm.set_value(fieldname, value));
+			dialog.hide();
+			frappe.show_alert({ message: __("Palette applied, save to publish it"), indicator: "green" });
+		},
+	});
+	dialog.fields_dict.diff.$wrapper.html(`
+		<table class="table table-bordered">
+			<thead><tr><th>${__("Field")}</th><th>${__("Current")}</th><th>${__("Generated")}</th></tr></thead>
+			<tbody>${rows}</tbody>
+		</table>
+	`);
+	dialog.show();
+}
+
+// Color helpers - rgb channels are 0-255, hue/saturation/lightness are 0-1
+
+function hex_to_rgb(hex) {
+	let value = (hex || "").replace("#", "").trim();
+	if (value.length === 3) {
+		value = value
+			.split("")
+			.map((char) => char + char)
+			.join("");
+	}
+	const number = parseInt(value.slice(0, 6), 16) || 0;
+	return [(number >> 16) & 255, (number >> 8) & 255, number & 255];
+}
+
+function rgb_to_hex(rgb) {
+	return `#${rgb
+		.map((channel) => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, "0"))
+		.join("")}`;
+}
+
+function rgb_to_hsl([r, g, b]) {
+	[r, g, b] = [r / 255, g / 255, b / 255];
+	const max = Math.max(r, g, b);
+	const min = Math.min(r, g, b);
+	const lightness = (max + min) / 2;
+	if (max === min) {
+		return [0, 0, lightness];
+	}
+
+	const delta = max - min;
+	const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+	let hue;
+	if (max === r) {
+		hue = (g - b) / delta + (g < b ? 6 : 0);
+	} else if (max === g) {
+		hue = (b - r) / delta + 2;
+	} else {
+		hue = (r - g) / delta + 4;
+	}
+	return [hue / 6, saturation, lightness];
+}
+
+function hsl_to_rgb([h, s, l]) {
+	if (!s) {
+		return [l * 255, l * 255, l * 255];
+	}
+
+	const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+	const p = 2 * l - q;
+	const channel = (t) => {
+		t = (t + 1) % 1;
+		if (t < 1 / 6) return p + (q - p) * 6 * t;
+		if (t < 1 / 2) return q;
+		if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+		return p;
+	};
+	return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)].map((value) => value * 255);
+}
+
+function get_relative_luminance(hex) {
+	const [r, g, b] = hex_to_rgb(hex).map((channel) => {
+		channel /= 255;
+		return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+	});
+	return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function get_contrast_text(background) {
+	// Pick whichever of near-black or white reads better on the background
+	return get_relative_luminance(background) > 0.179 ? "#171717" : "#ffffff";
+}
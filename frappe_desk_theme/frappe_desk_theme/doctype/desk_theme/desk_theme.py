@@ -1,14 +1,34 @@
 # Copyright (c) 2025, Dhwani RIS and contributors
 # For license information, please see license.txt
 
+import base64
+import binascii
+import mimetypes
+import re
+from urllib.parse import urlparse
+
 import frappe
+from frappe import _
+from frappe.model import no_value_fields, table_fields
 from frappe.model.document import Document
+from frappe.utils import cint, escape_html, get_datetime, now_datetime
+from frappe.utils.html_utils import sanitize_html
+
+from frappe_desk_theme import __version__
+from frappe_desk_theme.api import get_footer_placeholders, get_user_override_candidates, replace_placeholders
+from frappe_desk_theme.contrast import WCAG_AA, get_contrast_report
+from frappe_desk_theme.html_sanitizer import sanitize_footer_html
+from frappe_desk_theme.images import delete_image_set, get_image_set
+
+# Font families end up in CSS, web fonts are registered with the FontFace API
+FONT_FAMILY_PATTERN = re.compile(r"^[\w \-]+$")
+FONT_EXTENSIONS = (".woff2", ".woff")
 
 
 class DeskTheme(Document):
 	def validate(self):
-		# Validate that default_app is set when hide_app_switcher is checked
-		if self.hide_app_switcher and not self.default_app:
+		# Validate that default_app is set when the app switcher is hidden
+		if self.hides_app_switcher() and not self.default_app:
 			frappe.throw("Default App is required when App Switcher is hidden")
 
 		# Carousel validation: if carousel selected, must have at least one image
@@ -18,26 +38,338 @@ class DeskTheme(Document):
 				self.page_background_type = ""
 				frappe.msgprint("No carousel images found. Falling back to default background.")
 
+		# The first theme on a site becomes the default one, unless it is scheduled
+		if (
+			not self.is_default
+			and not self.schedules
+			and not frappe.db.exists("Desk Theme", {"is_default": 1, "name": ("!=", self.name)})
+		):
+			self.is_default = 1
+
+		self.validate_schedules()
+		self.validate_visibility_rules()
+		self.validate_custom_css()
+		self.validate_typography()
+		self.validate_layout()
+		self.validate_login_layout()
+		self.validate_login_content()
+		self.validate_footer()
+		self.validate_user_customizable_fields()
+		self.validate_contrast()
+		self.validate_embedded_images()
+
+	def validate_schedules(self):
+		for window in self.schedules:
+			if get_datetime(window.starts_on) >= get_datetime(window.ends_on):
+				frappe.throw(_("Schedule Row #{0}: Ends On must be after Starts On").format(window.idx))
+
+		if self.schedules and self.is_default:
+			frappe.throw(_("The default theme can not be scheduled, scheduled themes revert to it"))
+
+	def validate_visibility_rules(self):
+		for rule in self.visibility_rules:
+			if rule.element != "Custom Selector":
+				rule.selector = None
+			elif not (rule.selector or "").strip():
+				frappe.throw(_("Visibility Rule Row #{0}: Selector is required").format(rule.idx))
+			elif any(char in rule.selector for char in "{}<>;"):
+				# Selectors end up inside a <style> element on the client
+				frappe.throw(
+					_("Visibility Rule Row #{0}: Selector {1} is not allowed").format(rule.idx, rule.selector)
+				)
+
+	def validate_custom_css(self):
+		# Custom CSS is rendered inside a <style> element
+		if "</style" in (self.custom_css or "").lower():
+			frappe.throw(_("Custom CSS can not contain a closing style tag"))
+
+		for block in self.css_blocks:
+			if "</style" in (block.css or "").lower():
+				frappe.throw(
+					_("CSS Block Row #{0}: CSS can not contain a closing style tag").format(block.idx)
+				)
+			if block.applies_to == "Route":
+				block.document_type = None
+				block.route = (block.route or "").strip("/ ")
+			else:
+				block.route = None
+
+	def validate_typography(self):
+		for prefix in ("ui", "heading"):
+			family_field = f"{prefix}_font_family"
+			family = (self.get(family_field) or "").strip()
+			self.set(family_field, family)
+			if family and not FONT_FAMILY_PATTERN.match(family):
+				frappe.throw(
+					_("{0} can only contain letters, digits, spaces, hyphens and underscores").format(
+						_(self.meta.get_label(family_field))
+					)
+				)
+
+			for fieldname in (f"{prefix}_font_file", f"{prefix}_font_url"):
+				source = self.get(fieldname)
+				if source and not is_font_source(source):
+					frappe.throw(
+						_("{0} must link to a woff2 or woff file").format(_(self.meta.get_label(fieldname)))
+					)
+
+			font_file = self.get(f"{prefix}_font_file")
+			if font_file and frappe.db.get_value("File", {"file_url": font_file}, "is_private"):
+				frappe.throw(
+					_("{0} must be a public file, the login page loads it for guests").format(
+						_(self.meta.get_label(f"{prefix}_font_file"))
+					)
+				)
+
+		if self.base_font_size and not 10 <= self.base_font_size <= 24:
+			frappe.throw(_("Base Font Size must be between 10 and 24 px"))
+
+	def validate_layout(self):
+		if self.content_max_width and self.content_max_width < 600:
+			frappe.throw(_("Content Max Width must be at least 600 px"))
+
+	def validate_login_layout(self):
+		if self.login_layout == "Split Screen" and not 20 <= cint(self.login_image_width) <= 80:
+			frappe.throw(_("Image Width must be between 20 and 80 percent"))
+		if cint(self.login_box_side_offset) > 40 or cint(self.login_box_top_offset) > 60:
+			frappe.throw(_("Login box offsets can not push the box off the page"))
+
+	def validate_login_content(self):
+		for row in self.login_links:
+			if not is_safe_link(row.url):
+				frappe.throw(_("Row #{0}: {1} is not a web, mailto: or tel: link").format(row.idx, row.url))
+		for row in self.carousel_images:
+			if row.link and not is_safe_link(row.link):
+				frappe.throw(_("Carousel row #{0}: {1} is not a web link").format(row.idx, row.link))
+		if self.privacy_policy_url and not is_safe_link(self.privacy_policy_url):
+			frappe.throw(_("Privacy Policy URL must be a web link or a path on this site"))
+
+		# Guests see this block, keep only safe markup
+		if self.login_content:
+			self.login_content = sanitize_html(self.login_content, always_sanitize=True)
+
+	def validate_footer(self):
+		if self.footer_powered_by:
+			footer_powered_by, removed = sanitize_footer_html(self.footer_powered_by)
+			if removed:
+				frappe.throw(
+					_(
+						'Footer "Powered By" can only contain links, bold, italic and images. Remove: {0}'
+					).format(escape_html(", ".join(removed)))
+				)
+			self.footer_powered_by = footer_powered_by
+
+		for row in self.footer_links:
+			if not is_safe_link(row.url):
+				frappe.throw(
+					_("Footer row #{0}: {1} is not a web, mailto: or tel: link").format(row.idx, row.url)
+				)
+
+	def validate_user_customizable_fields(self):
+		candidates = {df.fieldname for df in get_user_override_candidates()}
+		seen = set()
+		for row in self.user_customizable_fields:
+			if row.fieldname not in candidates:
+				frappe.throw(_("Row #{0}: Users can not override {1}").format(row.idx, row.fieldname))
+			if row.fieldname in seen:
+				frappe.throw(_("Row #{0}: {1} is listed twice").format(row.idx, row.fieldname))
+			seen.add(row.fieldname)
+
+	def hides_app_switcher(self):
+		"""Whether a rule keeps some users from switching apps"""
+		return any(
+			rule.element == "App Switcher" and rule.action in ("Hide", "Disable")
+			for rule in self.visibility_rules
+		)
+
+	def validate_contrast(self):
+		"""Warn about color pairs below WCAG AA, or block saving in strict mode"""
+		failures = [row for row in get_contrast_report(self) if not row["aa"]]
+		if not failures:
+			return
+
+		message = _("These colors do not meet the WCAG AA contrast ratio of {0}:1").format(WCAG_AA)
+		message += "<br>" + "<br>".join(f"{row['label']}: {row['ratio']}:1" for row in failures)
+		if self.strict_contrast_check:
+			frappe.throw(message, title=_("Insufficient Contrast"))
+		frappe.msgprint(message, title=_("Contrast Warning"), indicator="orange")
+
+	def validate_embedded_images(self):
+		"""Images loaded from a theme bundle arrive as data URIs, only plain images are accepted"""
+		for doc, df in self.get_image_fields():
+			value = doc.get(df.fieldname)
+			if value and value.startswith("data:") and not parse_image_data_uri(value):
+				frappe.throw(_("{0} must be a PNG, JPEG, GIF or WebP image").format(frappe.bold(_(df.label))))
+
+	def get_image_fields(self):
+		"""Return (document, docfield) pairs of the theme's image fields, child rows included"""
+		fields = []
+		for df in self.meta.fields:
+			if df.fieldtype in IMAGE_FIELDTYPES:
+				fields.append((self, df))
+			elif df.fieldtype in table_fields:
+				child_fields = [
+					child_df
+					for child_df in frappe.get_meta(df.options).fields
+					if child_df.fieldtype in IMAGE_FIELDTYPES
+				]
+				fields += [(row, child_df) for row in self.get(df.fieldname) for child_df in child_fields]
+		return fields
+
+	def before_save(self):
+		# Stamp a new version on every save, clients compare it against their cached copy
+		self.theme_version = frappe.generate_hash(length=12)
+		self.save_embedded_images()
+
+	def save_embedded_images(self):
+		"""Replace embedded images with public files, attached to the theme once it is saved"""
+		self.flags.embedded_files = []
+		for doc, df in self.get_image_fields():
+			value = doc.get(df.fieldname)
+			if not value or not value.startswith("data:"):
+				continue
+
+			mimetype, content = parse_image_data_uri(value)
+			file_doc = frappe.get_doc(
+				{
+					"doctype": "File",
+					"file_name": f"{frappe.scrub(self.name)}-{df.fieldname}{IMAGE_MIMETYPES[mimetype]}",
+					"content": content,
+					"is_private": 0,
+				}
+			).insert(ignore_permissions=True)
+			doc.set(df.fieldname, file_doc.file_url)
+			self.flags.embedded_files.append(file_doc.name)
+
 	def on_update(self):
+		# New themes do not exist before this point, their files are attached now
+		for file_name in self.flags.embedded_files or []:
+			frappe.db.set_value(
+				"File", file_name, {"attached_to_doctype": self.doctype, "attached_to_name": self.name}
+			)
+
+		if self.needs_image_variants_update():
+			# Resizing takes seconds per image, the save does not wait for it
+			frappe.enqueue(
+				update_image_variants,
+				queue="short",
+				theme_name=self.name,
+				enqueue_after_commit=True,
+				now=frappe.flags.in_test,
+			)
+		self.notify_theme_update()
+
+		# Site-wide settings below follow the default theme only
+		if not self.is_default:
+			return
+
+		# Only one theme can be the default
+		frappe.db.set_value("Desk Theme", {"is_default": 1, "name": ("!=", self.name)}, "is_default", 0)
+
 		# Update system settings with the selected default app
-		if self.hide_app_switcher and self.default_app:
+		if self.hides_app_switcher() and self.default_app:
 			update_system_default_app(self.default_app)
 		
 		# Update website settings with footer information
 		self.update_website_settings()
 
+	def needs_image_variants_update(self):
+		existing = frappe.parse_json(self.login_image_variants or "{}")
+		return set(self.get_background_image_urls()) != set(existing)
+
+	def update_image_variants(self):
+		"""Generate responsive variants of new background images, delete those of removed images"""
+		existing = frappe.parse_json(self.login_image_variants or "{}")
+		image_sets = {}
+		for file_url in self.get_background_image_urls():
+			image_set = existing.get(file_url) or get_image_set(file_url, self.name)
+			if image_set:
+				image_sets[file_url] = image_set
+
+		for file_url, image_set in existing.items():
+			if file_url not in image_sets:
+				delete_image_set(image_set, self.name)
+
+		if image_sets == existing:
+			return
+
+		# Variants arrive after the save, a new version makes open sessions fetch them
+		self.db_set(
+			{
+				"login_image_variants": frappe.as_json(image_sets),
+				"theme_version": frappe.generate_hash(length=12),
+			},
+			update_modified=False,
+		)
+		frappe.publish_realtime(
+			"desk_theme_updated",
+			{"theme": self.name, "theme_version": self.theme_version, "reassigned": False},
+			after_commit=True,
+		)
+
+	def get_background_image_urls(self):
+		urls = [row.image for row in self.carousel_images if row.image]
+		if self.login_page_background_image:
+			urls.append(self.login_page_background_image)
+		return list(dict.fromkeys(urls))
+
+	def on_trash(self):
+		if self.is_default and frappe.db.exists("Desk Theme", {"name": ("!=", self.name)}):
+			frappe.throw(_("Set another Desk Theme as default before deleting the default theme"))
+
+	def after_delete(self):
+		self.notify_theme_update()
+
+	def notify_theme_update(self):
+		"""Tell every open desk session to reload its theme once this change is committed
+
+		Sessions ignore saves of themes that are not theirs, unless the save can move users between themes.
+		"""
+		frappe.publish_realtime(
+			"desk_theme_updated",
+			{
+				"theme": self.name,
+				"theme_version": self.theme_version,
+				"reassigned": self.changes_assignment(),
+			},
+			after_commit=True,
+		)
+
+	def changes_assignment(self):
+		"""Whether this change can make the theme resolve for other users than before"""
+		before = self.get_doc_before_save()
+		if not before:
+			# New and deleted themes
+			return True
+		if any(self.get(fieldname) != before.get(fieldname) for fieldname in ("is_default", "priority")):
+			return True
+
+		def get_rows(doc, fieldname):
+			return [
+				row.as_dict(no_default_fields=True, no_child_table_fields=True) for row in doc.get(fieldname)
+			]
+
+		return any(
+			get_rows(self, fieldname) != get_rows(before, fieldname)
+			for fieldname in ("assignments", "schedules")
+		)
+
 	def update_website_settings(self):
 		"""Update Website Settings with copyright and powered by text from Desk Theme"""
 		try:
 			website_settings = frappe.get_single("Website Settings")
+			# Website pages are not per user, placeholders are filled in for guests
+			placeholders = get_footer_placeholders("Guest")
 			
 			# Update copyright text if provided
 			if self.copyright_text:
-				website_settings.copyright = self.copyright_text
+				website_settings.copyright = replace_placeholders(self.copyright_text, placeholders)
 			
 			# Update footer powered by text if provided
 			if self.footer_powered_by:
-				website_settings.footer_powered = self.footer_powered_by
+				website_settings.footer_powered = sanitize_footer_html(
+					replace_placeholders(self.footer_powered_by, placeholders, escape=True)
+				)[0]
 			
 			# Save without triggering permissions check
 			website_settings.save(ignore_permissions=True)
@@ -49,14 +381,44 @@ class DeskTheme(Document):
 		"""Return carousel images and config for API"""
 		if self.page_background_type != "Carousel":
 			return None
-		images = [img.image for img in self.carousel_images if img.image]
+		slides = [
+			{
+				"image": row.image,
+				"caption": row.caption,
+				"subtitle": row.subtitle,
+				"link": row.link,
+				"duration": row.duration,
+				"focal_point": row.focal_point,
+			}
+			for row in self.carousel_images
+			if row.image
+		]
 		return {
-			"images": images,
+			"images": [slide["image"] for slide in slides],
+			"slides": slides,
 			"manual_navigation": getattr(self, "allow_manual_navigation", True),
 			"auto_advance": getattr(self, "carousel_auto_advance", True),
+			"transition": self.carousel_transition or "Fade",
+			"pause_on_hover": cint(self.carousel_pause_on_hover),
 		}
 
 
+def is_font_source(source):
+	"""Whether a URL points to a web font file and is safe to use in a CSS url()"""
+	if any(char in source for char in "\"'()"):
+		return False
+	return urlparse(source).path.lower().endswith(FONT_EXTENSIONS)
+
+
+def is_safe_link(url):
+	"""Whether a URL is an http(s), mailto: or tel: link, or a path on this site"""
+	url = (url or "").strip()
+	scheme = urlparse(url).scheme
+	if scheme:
+		return scheme in ("http", "https", "mailto", "tel")
+	return url.startswith("/")
+
+
 @frappe.whitelist()
 def update_system_default_app(default_app):
 	"""Update the system default app setting"""
@@ -75,3 +437,197 @@ def update_system_default_app(default_app):
 	except Exception as e:
 		frappe.log_error(f"Error updating system default app: {str(e)}")
 		frappe.throw(f"Failed to update system default app: {str(e)}")
+
+
+def update_image_variants(theme_name):
+	"""Background job behind DeskTheme.update_image_variants, queued after saves"""
+	if frappe.db.exists("Desk Theme", theme_name):
+		frappe.get_doc("Desk Theme", theme_name).update_image_variants()
+
+
+# Theme bundles - portable JSON export/import between sites
+# ---------------------------------------------------------
+
+THEME_BUNDLE_FORMAT = "frappe_desk_theme"
+THEME_BUNDLE_SCHEMA_VERSION = 1
+
+# Site specific fields that never travel with a theme bundle
+NON_PORTABLE_FIELDS = (
+	"theme_name",
+	"is_default",
+	"priority",
+	"theme_version",
+	"assignments",
+	"schedules",
+	"login_image_variants",
+)
+IMAGE_FIELDTYPES = ("Attach Image",)
+
+# Embedded images must be one of these types, saved files get the matching extension
+IMAGE_MIMETYPES = {"image/png": ".png", "image/jpeg": ".jpg", "image/gif": ".gif", "image/webp": ".webp"}
+DATA_URI_PATTERN = re.compile(r"^data:(?P<mimetype>[\w.+-]+/[\w.+-]+);base64,(?P<content>[\w+/=\s]*)$")
+
+
+def get_portable_fields():
+	"""Return the Desk Theme fields that make up a theme bundle"""
+	return [
+		df
+		for df in frappe.get_meta("Desk Theme").fields
+		if df.fieldname not in NON_PORTABLE_FIELDS
+		and (df.fieldtype not in no_value_fields or df.fieldtype in table_fields)
+	]
+
+
+@frappe.whitelist()
+def export_theme(name, embed_images=False):
+	"""Export a Desk Theme as a versioned JSON bundle, optionally embedding its images as data URIs"""
+	frappe.has_permission("Desk Theme", "read", name, throw=True)
+	theme = frappe.get_doc("Desk Theme", name)
+	embed_images = frappe.parse_json(embed_images)
+
+	bundle = {
+		"format": THEME_BUNDLE_FORMAT,
+		"schema_version": THEME_BUNDLE_SCHEMA_VERSION,
+		"app_version": __version__,
+		"exported_at": str(now_datetime()),
+		"theme_name": theme.theme_name,
+		"theme": {},
+		"files": {},
+	}
+
+	for df in get_portable_fields():
+		if df.fieldtype in table_fields:
+			child_fields = [
+				child_df
+				for child_df in frappe.get_meta(df.options).fields
+				if child_df.fieldtype not in no_value_fields
+			]
+			value = [
+				{child_df.fieldname: row.get(child_df.fieldname) for child_df in child_fields}
+				for row in theme.get(df.fieldname)
+			]
+			images = [
+				row.get(child_df.fieldname)
+				for row in value
+				for child_df in child_fields
+				if child_df.fieldtype in IMAGE_FIELDTYPES
+			]
+		else:
+			value = theme.get(df.fieldname)
+			images = [value] if df.fieldtype in IMAGE_FIELDTYPES else []
+
+		bundle["theme"][df.fieldname] = value
+
+		if embed_images:
+			for file_url in images:
+				if file_url and file_url not in bundle["files"]:
+					bundle["files"][file_url] = get_file_data_uri(file_url)
+
+	return bundle
+
+
+@frappe.whitelist()
+def import_theme(bundle):
+	"""Validate a theme bundle against the current schema
+
+	Returns the values to load into the Desk Theme form along with a report of unknown,
+	missing and invalid keys. Embedded images referenced by an image field come back as
+	data URIs, they only become files when the theme is saved.
+	"""
+	frappe.has_permission("Desk Theme", "write", throw=True)
+	try:
+		bundle = frappe.parse_json(bundle)
+	except ValueError:
+		frappe.throw(_("This file is not valid JSON"))
+
+	if not isinstance(bundle, dict) or bundle.get("format") != THEME_BUNDLE_FORMAT:
+		frappe.throw(_("This file is not a Desk Theme export"))
+	if cint(bundle.get("schema_version")) > THEME_BUNDLE_SCHEMA_VERSION:
+		frappe.throw(
+			_("This theme was exported by a newer version of Frappe Desk Theme ({0})").format(
+				bundle.get("app_version")
+			)
+		)
+
+	theme = bundle.get("theme") or {}
+	fields = {df.fieldname: df for df in get_portable_fields()}
+	files = bundle.get("files") or {}
+
+	def get_image(file_url):
+		"""Return the embedded image of a URL, the URL itself if it was not embedded, or None if invalid"""
+		data_uri = files.get(file_url) if isinstance(file_url, str) else None
+		if not data_uri:
+			return file_url
+		return data_uri if parse_image_data_uri(data_uri, file_url) else None
+
+	values, invalid = {}, []
+	for fieldname, value in theme.items():
+		df = fields.get(fieldname)
+		if not df:
+			continue
+
+		if df.fieldtype in table_fields:
+			child_fields = {
+				child_df.fieldname: child_df
+				for child_df in frappe.get_meta(df.options).fields
+				if child_df.fieldtype not in no_value_fields
+			}
+			rows = []
+			for row in value or []:
+				row = {k: v for k, v in row.items() if k in child_fields}
+				for child_df in child_fields.values():
+					if child_df.fieldtype in IMAGE_FIELDTYPES and row.get(child_df.fieldname):
+						row[child_df.fieldname] = get_image(row[child_df.fieldname])
+						if not row[child_df.fieldname] and fieldname not in invalid:
+							invalid.append(fieldname)
+				rows.append(row)
+			values[fieldname] = rows
+		elif value is None:
+			values[fieldname] = None
+		elif df.fieldtype == "Select" and value not in (df.options or "").split("\n"):
+			invalid.append(fieldname)
+		elif df.fieldtype in ("Check", "Int") and not isinstance(value, int):
+			invalid.append(fieldname)
+		elif df.fieldtype in IMAGE_FIELDTYPES and not get_image(value):
+			invalid.append(fieldname)
+		else:
+			values[fieldname] = get_image(value) if df.fieldtype in IMAGE_FIELDTYPES else value
+
+	return {
+		"theme_name": bundle.get("theme_name"),
+		"values": values,
+		"unknown": sorted(set(theme) - set(fields)),
+		"missing": sorted(set(fields) - set(theme)),
+		"invalid": invalid,
+	}
+
+
+def get_file_data_uri(file_url):
+	"""Return the contents of an uploaded file as a base64 data URI, or None for external URLs"""
+	file_name = frappe.db.get_value("File", {"file_url": file_url})
+	if not file_name:
+		return None
+
+	file_doc = frappe.get_doc("File", file_name)
+	content = file_doc.get_content()
+	if isinstance(content, str):
+		content = content.encode()
+	mimetype = mimetypes.guess_type(file_doc.file_name or file_url)[0] or "application/octet-stream"
+	return f"data:{mimetype};base64,{base64.b64encode(content).decode()}"
+
+
+def parse_image_data_uri(data_uri, file_url=None):
+	"""Return (mimetype, content) of an embedded image, or None if it is not a supported image
+
+	When the bundle's file URL is given, its extension must be of the same type.
+	"""
+	match = DATA_URI_PATTERN.match(data_uri or "")
+	if not match or match["mimetype"] not in IMAGE_MIMETYPES:
+		return None
+	if file_url and mimetypes.guess_type(file_url)[0] != match["mimetype"]:
+		return None
+
+	try:
+		return match["mimetype"], base64.b64decode(match["content"])
+	except binascii.Error:
+		return None
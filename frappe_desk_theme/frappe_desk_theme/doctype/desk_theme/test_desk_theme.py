@@ -1,9 +1,21 @@
 # Copyright (c) 2025, Dhwani RIS and Contributors
 # See license.txt
 
-# import frappe
+import base64
+from io import BytesIO
+from unittest.mock import patch
+
+import frappe
 from frappe.tests import IntegrationTestCase
+from frappe.utils import add_days, now_datetime
+from PIL import Image
 
+from frappe_desk_theme.api import get_custom_theme, get_theme_name_for_user, render_footer
+from frappe_desk_theme.boot import extend_bootinfo, update_website_context
+from frappe_desk_theme.contrast import get_contrast_ratio
+from frappe_desk_theme.frappe_desk_theme.doctype.desk_theme.desk_theme import export_theme, import_theme
+from frappe_desk_theme.html_sanitizer import sanitize_footer_html
+from frappe_desk_theme.theme_css import get_theme_css
 
 # On IntegrationTestCase, the doctype test records and all
 # link-field test record dependencies are recursively loaded
@@ -12,6 +24,9 @@ EXTRA_TEST_RECORD_DEPENDENCIES = []  # eg. ["User"]
 IGNORE_TEST_RECORD_DEPENDENCIES = []  # eg. ["User"]
 
 
+def make_theme(theme_name, **kwargs):
+	return frappe.get_doc({"doctype": "Desk Theme", "theme_name": theme_name, **kwargs}).insert()
+
 
 class IntegrationTestDeskTheme(IntegrationTestCase):
 	"""
@@ -19,4 +34,375 @@ class IntegrationTestDeskTheme(IntegrationTestCase):
 	Use this class for testing interactions between multiple components.
 	"""
 
-	pass
+	def setUp(self):
+		frappe.db.delete("Desk Theme")
+		frappe.db.delete("Desk Theme Assignment")
+		frappe.db.delete("Desk Theme Schedule")
+		make_theme("Test Default Theme", is_default=1)
+
+	def test_guest_gets_default_theme(self):
+		self.assertEqual(get_theme_name_for_user("Guest"), "Test Default Theme")
+
+	def test_only_one_default_theme(self):
+		make_theme("Test Other Default", is_default=1)
+		self.assertEqual(frappe.db.count("Desk Theme", {"is_default": 1}), 1)
+		self.assertEqual(get_theme_name_for_user("Guest"), "Test Other Default")
+
+	def test_user_rule_beats_role_rule(self):
+		make_theme(
+			"Test Role Theme", priority=10, assignments=[{"applies_to": "Role", "role": "System Manager"}]
+		)
+		make_theme("Test User Theme", assignments=[{"applies_to": "User", "user": "Administrator"}])
+		self.assertEqual(get_theme_name_for_user("Administrator"), "Test User Theme")
+
+	def test_priority_breaks_ties(self):
+		make_theme(
+			"Test Low Theme", priority=1, assignments=[{"applies_to": "Role", "role": "System Manager"}]
+		)
+		make_theme(
+			"Test High Theme", priority=5, assignments=[{"applies_to": "Role", "role": "System Manager"}]
+		)
+		self.assertEqual(get_theme_name_for_user("Administrator"), "Test High Theme")
+
+	def test_theme_bundle_round_trip(self):
+		theme = make_theme("Test Export Theme", navbar_color="#123456", login_box_position="Left")
+		bundle = export_theme(theme.name)
+		self.assertNotIn("is_default", bundle["theme"])
+
+		bundle["theme"]["not_a_field"] = "x"
+		del bundle["theme"]["navbar_text_color"]
+		result = import_theme(frappe.as_json(bundle))
+
+		self.assertEqual(result["values"]["navbar_color"], "#123456")
+		self.assertEqual(result["values"]["login_box_position"], "Left")
+		self.assertIn("not_a_field", result["unknown"])
+		self.assertIn("navbar_text_color", result["missing"])
+
+	def test_import_rejects_invalid_select_value(self):
+		bundle = export_theme("Test Default Theme")
+		bundle["theme"]["login_box_position"] = "Top"
+		result = import_theme(frappe.as_json(bundle))
+		self.assertIn("login_box_position", result["invalid"])
+		self.assertNotIn("login_box_position", result["values"])
+
+	def test_import_only_keeps_referenced_images(self):
+		png = "data:image/png;base64," + base64.b64encode(b"\x89PNG\r\n\x1a\n").decode()
+		bundle = export_theme("Test Default Theme")
+		bundle["theme"]["login_page_background_image"] = "/files/background.png"
+		bundle["theme"]["footer_logo"] = "/files/logo.svg"
+		bundle["files"] = {
+			"/files/background.png": png,
+			"/files/logo.svg": "data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=",
+			"/files/page.html": "data:text/html;base64,PHNjcmlwdD48L3NjcmlwdD4=",
+		}
+		files_before = frappe.db.count("File")
+		result = import_theme(frappe.as_json(bundle))
+
+		self.assertEqual(result["values"]["login_page_background_image"], png)
+		self.assertIn("footer_logo", result["invalid"])
+		self.assertEqual(frappe.db.count("File"), files_before)
+
+	def test_embedded_image_is_saved_as_theme_file(self):
+		content = BytesIO()
+		Image.new("RGB", (4, 4)).save(content, "PNG")
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.footer_logo = "data:image/png;base64," + base64.b64encode(content.getvalue()).decode()
+		theme.save()
+
+		self.assertTrue(theme.footer_logo.endswith(".png"))
+		self.assertEqual(
+			frappe.db.get_value("File", {"file_url": theme.footer_logo}, "attached_to_name"), theme.name
+		)
+
+		theme.footer_logo = "data:text/html;base64,PHNjcmlwdD48L3NjcmlwdD4="
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+	def test_contrast_ratio(self):
+		self.assertAlmostEqual(get_contrast_ratio("#000000", "#ffffff"), 21)
+		self.assertAlmostEqual(get_contrast_ratio("#777", "#777777"), 1)
+		self.assertIsNone(get_contrast_ratio("red", "#ffffff"))
+
+	def test_strict_contrast_check_blocks_save(self):
+		theme = frappe.get_doc(
+			{
+				"doctype": "Desk Theme",
+				"theme_name": "Test Contrast Theme",
+				"strict_contrast_check": 1,
+				"button_text_color": "#ffffff",
+				"button_background_color": "#ffffff",
+			}
+		)
+		self.assertRaises(frappe.ValidationError, theme.insert)
+
+	def test_active_scheduled_theme_overrides_default(self):
+		make_theme(
+			"Test Campaign Theme",
+			schedules=[{"starts_on": add_days(now_datetime(), -1), "ends_on": add_days(now_datetime(), 1)}],
+		)
+		self.assertEqual(get_theme_name_for_user("Guest"), "Test Campaign Theme")
+
+	def test_expired_scheduled_theme_is_ignored(self):
+		make_theme(
+			"Test Past Campaign Theme",
+			assignments=[{"applies_to": "User", "user": "Administrator"}],
+			schedules=[{"starts_on": add_days(now_datetime(), -3), "ends_on": add_days(now_datetime(), -2)}],
+		)
+		self.assertEqual(get_theme_name_for_user("Administrator"), "Test Default Theme")
+
+	def test_first_theme_with_schedules_is_not_made_default(self):
+		frappe.db.delete("Desk Theme")
+		theme = make_theme(
+			"Test First Campaign Theme",
+			schedules=[{"starts_on": add_days(now_datetime(), 1), "ends_on": add_days(now_datetime(), 2)}],
+		)
+		self.assertFalse(theme.is_default)
+
+	def test_guest_payload_is_limited_to_login_fields(self):
+		frappe.set_user("Guest")
+		try:
+			theme = get_custom_theme()
+		finally:
+			frappe.set_user("Administrator")
+
+		self.assertIn("login_page_title", theme)
+		for fieldname in ("owner", "modified_by", "visibility_rules", "assignments", "navbar_color"):
+			self.assertNotIn(fieldname, theme)
+
+	def test_desk_payload_includes_desk_fields(self):
+		theme = get_custom_theme()
+		self.assertIn("navbar_color", theme)
+		self.assertIn("visibility_rules", theme)
+		self.assertNotIn("owner", theme)
+		self.assertNotIn("assignments", theme)
+
+	def test_custom_selector_can_not_break_out_of_style(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.append(
+			"visibility_rules", {"element": "Custom Selector", "selector": ".btn } body { display: none"}
+		)
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+	def test_custom_selector_is_required(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.append("visibility_rules", {"element": "Custom Selector", "action": "Hide"})
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+	def test_hidden_app_switcher_requires_default_app(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.append("visibility_rules", {"element": "App Switcher", "action": "Hide", "role": "Guest"})
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+	def test_custom_css_can_not_close_style_element(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.custom_css = "</style><script>alert(1)</script>"
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+	def test_font_url_must_be_a_web_font(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.ui_font_family = "Brand Sans"
+		theme.ui_font_url = "https://fonts.example.com/brand.css"
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+		theme.ui_font_url = "https://fonts.example.com/brand.woff2"
+		theme.save()
+
+	def test_content_max_width_has_a_minimum(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.content_max_width = 320
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+	def test_structural_fields_are_not_user_customizable(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.append("user_customizable_fields", {"fieldname": "custom_css"})
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+	def test_split_screen_image_width_is_bounded(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.login_layout = "Split Screen"
+		theme.login_image_width = 90
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+	def test_login_content_is_sanitized(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.login_content = '<p onclick="alert(1)">Welcome</p><script>alert(1)</script>'
+		theme.save()
+		self.assertNotIn("<script", theme.login_content)
+		self.assertNotIn("onclick", theme.login_content)
+		self.assertIn("Welcome", theme.login_content)
+
+	def test_login_links_reject_script_urls(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.append("login_links", {"label": "Help", "url": "javascript:alert(1)"})
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+	def test_expired_announcement_is_not_sent(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.announcement_message = "Planned maintenance"
+		theme.announcement_expires_on = add_days(now_datetime(), -1)
+		theme.save()
+		self.assertIsNone(get_custom_theme()["announcement_message"])
+
+	def test_carousel_payload_includes_slide_settings(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.page_background_type = "Carousel"
+		theme.carousel_transition = "Ken Burns"
+		theme.append(
+			"carousel_images",
+			{"image": "/files/slide.jpg", "caption": "Welcome", "duration": 8, "focal_point": "Top Left"},
+		)
+
+		carousel = theme.get_carousel_data()
+		self.assertEqual(carousel["transition"], "Ken Burns")
+		self.assertEqual(carousel["images"], ["/files/slide.jpg"])
+		self.assertEqual(carousel["slides"][0]["caption"], "Welcome")
+		self.assertEqual(carousel["slides"][0]["focal_point"], "Top Left")
+
+	def test_carousel_links_reject_script_urls(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.append("carousel_images", {"image": "/files/slide.jpg", "link": "javascript:alert(1)"})
+		self.assertRaises(frappe.ValidationError, theme.validate_login_content)
+
+	def test_background_image_variants_are_generated(self):
+		content = BytesIO()
+		Image.new("RGB", (1600, 900), "#336699").save(content, "PNG")
+		image = frappe.get_doc(
+			{
+				"doctype": "File",
+				"file_name": "login-background.png",
+				"content": content.getvalue(),
+				"is_private": 0,
+			}
+		).insert(ignore_permissions=True)
+
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.page_background_type = "Image"
+		theme.login_page_background_image = image.file_url
+		theme.save()
+
+		image_set = get_custom_theme()["login_image_variants"][image.file_url]
+		# Never upscaled past the original width
+		self.assertEqual([variant["width"] for variant in image_set["variants"]], [640, 1280, 1600])
+		self.assertTrue(image_set["placeholder"].startswith("data:image/webp;base64,"))
+
+	def test_background_image_variants_follow_their_source(self):
+		content = BytesIO()
+		Image.new("RGB", (800, 600), "#336699").save(content, "PNG")
+		image = frappe.get_doc(
+			{
+				"doctype": "File",
+				"file_name": "private-background.png",
+				"content": content.getvalue(),
+				"is_private": 1,
+			}
+		).insert(ignore_permissions=True)
+
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.page_background_type = "Image"
+		theme.login_page_background_image = image.file_url
+		theme.save()
+
+		variant_urls = [
+			variant["url"]
+			for variant in get_custom_theme()["login_image_variants"][image.file_url]["variants"]
+		]
+		for file_url in variant_urls:
+			self.assertEqual(frappe.db.get_value("File", {"file_url": file_url}, "is_private"), 1)
+
+		theme.reload()
+		theme.login_page_background_image = None
+		theme.save()
+
+		self.assertFalse(frappe.db.exists("File", {"file_url": ("in", variant_urls)}))
+
+	def test_footer_fills_placeholders_and_hides_links_by_role(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.copyright_text = "© {year} {unknown}"
+		theme.append("footer_links", {"label": "Help", "url": "/help"})
+		theme.append("footer_links", {"label": "Setup Guide", "url": "/setup", "role": "System Manager"})
+		theme.save()
+
+		frappe.set_user("Guest")
+		try:
+			footer_html = render_footer(theme)
+		finally:
+			frappe.set_user("Administrator")
+
+		self.assertIn(f"© {now_datetime().year} {{unknown}}", footer_html)
+		self.assertIn("Help", footer_html)
+		self.assertNotIn("Setup Guide", footer_html)
+
+	def test_footer_powered_by_rejects_disallowed_markup(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.footer_powered_by = '<img src="/files/logo.png" onerror="alert(1)">'
+		self.assertRaises(frappe.ValidationError, theme.save)
+
+		theme.footer_powered_by = 'Built by <a href="https://example.com" target="_blank"><b>Example</b></a>'
+		theme.save()
+		self.assertIn('rel="noopener noreferrer"', theme.footer_powered_by)
+
+	def test_footer_sanitizer_keeps_markup_well_formed(self):
+		html, removed = sanitize_footer_html('<div><b>Bold <a href="javascript:alert(1)">link')
+		self.assertEqual(html, "<b>Bold <a>link</a></b>")
+		self.assertEqual(removed, ["<div>", "href on <a>"])
+
+	def test_theme_css_has_dark_variants_and_stays_inside_style(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.navbar_color = "#112233"
+		theme.dark_navbar_color = "#000000"
+		theme.button_background_color = "red;} body { display: none"
+		theme.login_page_title = "Acme </style><script>"
+
+		css = get_theme_css(theme)
+		self.assertIn("--navbar-bg: #112233;", css)
+		self.assertIn(':root[data-theme="dark"] { --navbar-bg: #000000; }', css)
+		self.assertNotIn("--btn-primary-bg", css)
+		self.assertNotIn("<", css)
+
+	def test_only_assignment_changes_reach_other_users_themes(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.navbar_color = "#112233"
+		theme.save()
+		self.assertFalse(theme.changes_assignment())
+
+		theme.priority = (theme.priority or 0) + 1
+		theme.save()
+		self.assertTrue(theme.changes_assignment())
+
+	def test_next_boot_carries_the_saved_theme(self):
+		# boot_session output is cached per user, the theme must come from the uncached hook
+		self.assertIn("frappe_desk_theme.boot.extend_bootinfo", frappe.get_hooks("extend_bootinfo"))
+		self.assertNotIn("frappe_desk_theme.boot.boot_session", frappe.get_hooks("boot_session"))
+
+		bootinfo = frappe._dict()
+		extend_bootinfo(bootinfo)
+		previous_version = bootinfo.desk_theme_version
+
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.navbar_color = "#654321"
+		theme.save()
+
+		bootinfo = frappe._dict()
+		extend_bootinfo(bootinfo)
+		self.assertNotEqual(bootinfo.desk_theme_version, previous_version)
+		self.assertTrue(bootinfo.desk_theme_version.startswith(theme.theme_version))
+		self.assertIn("--navbar-bg: #654321;", bootinfo.desk_theme_css)
+
+	def test_only_the_login_page_gets_server_css(self):
+		theme = frappe.get_doc("Desk Theme", "Test Default Theme")
+		theme.navbar_color = "#123456"
+		theme.save()
+
+		context = frappe._dict(path="login")
+		update_website_context(context)
+		self.assertIn('<style id="desk-theme-server-css"', context.head_html)
+		self.assertIn("--navbar-bg: #123456;", context.head_html)
+
+		context = frappe._dict(path="about")
+		update_website_context(context)
+		self.assertNotIn("head_html", context)
+
+		# A failing theme leaves the page without server CSS instead of breaking it
+		with patch("frappe_desk_theme.boot.get_theme_for_user", side_effect=Exception):
+			context = frappe._dict(path="login")
+			update_website_context(context)
+		self.assertNotIn("head_html", context)
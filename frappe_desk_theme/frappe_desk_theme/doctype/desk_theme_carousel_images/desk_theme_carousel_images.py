@@ -1,7 +1,7 @@
 # Copyright (c) 2025, Dhwani RIS and contributors
 # For license information, please see license.txt
 
-# import frappe
+import frappe
 from frappe.model.document import Document
 
 
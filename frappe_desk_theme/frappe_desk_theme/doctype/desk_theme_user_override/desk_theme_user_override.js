@@ -0,0 +1,8 @@
+// Copyright (c) 2025, Dhwani RIS and contributors
+// For license information, please see license.txt
+
+// frappe.ui.form.on("Desk Theme User Override", {
+// 	refresh(frm) {
+
+// 	},
+// });
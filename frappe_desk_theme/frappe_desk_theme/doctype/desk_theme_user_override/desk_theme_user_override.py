@@ -0,0 +1,40 @@
+# Copyright (c) 2025, Dhwani RIS and contributors
+# For license information, please see license.txt
+
+import frappe
+from frappe import _
+from frappe.model.document import Document
+
+from frappe_desk_theme.api import get_user_override_candidates
+from frappe_desk_theme.contrast import parse_hex_color
+
+
+class DeskThemeUserOverride(Document):
+	def validate(self):
+		try:
+			overrides = frappe.parse_json(self.overrides or "{}")
+		except ValueError:
+			overrides = None
+		if not isinstance(overrides, dict):
+			frappe.throw(_("Overrides must be a JSON object"))
+
+		fields = {df.fieldname: df for df in get_user_override_candidates()}
+		for fieldname, value in overrides.items():
+			df = fields.get(fieldname)
+			if not df:
+				frappe.throw(_("{0} can not be overridden by users").format(fieldname))
+
+			if df.fieldtype == "Color":
+				valid = parse_hex_color(value) is not None
+			elif df.fieldtype == "Select":
+				valid = value in (df.options or "").split("\n")
+			else:
+				valid = isinstance(value, int)
+			if not valid:
+				frappe.throw(_("{0} is not a valid value for {1}").format(frappe.bold(value), df.label))
+
+		self.overrides = frappe.as_json(overrides, indent=1)
+
+	def on_update(self):
+		# Open desk tabs of the user reload their theme
+		frappe.publish_realtime("desk_theme_updated", {"user": self.user}, user=self.user, after_commit=True)
@@ -0,0 +1,42 @@
+# Copyright (c) 2025, Dhwani RIS and Contributors
+# See license.txt
+
+import frappe
+from frappe.tests import IntegrationTestCase
+
+from frappe_desk_theme.api import get_custom_theme, save_user_preferences
+
+# On IntegrationTestCase, the doctype test records and all
+# link-field test record dependencies are recursively loaded
+# Use these module variables to add/remove to/from that list
+EXTRA_TEST_RECORD_DEPENDENCIES = []  # eg. ["User"]
+IGNORE_TEST_RECORD_DEPENDENCIES = []  # eg. ["User"]
+
+
+class IntegrationTestDeskThemeUserOverride(IntegrationTestCase):
+	"""
+	Integration tests for DeskThemeUserOverride.
+	Use this class for testing interactions between multiple components.
+	"""
+
+	def setUp(self):
+		frappe.db.delete("Desk Theme")
+		frappe.db.delete("Desk Theme Customizable Field")
+		frappe.db.delete("Desk Theme User Override")
+		frappe.get_doc(
+			{
+				"doctype": "Desk Theme",
+				"theme_name": "Test Default Theme",
+				"is_default": 1,
+				"navbar_color": "#ffffff",
+				"user_customizable_fields": [{"fieldname": "navbar_color"}],
+			}
+		).insert()
+
+	def test_only_allowed_fields_are_saved(self):
+		save_user_preferences({"navbar_color": "#123456", "footer_text_color": "#654321"})
+		theme = get_custom_theme()
+		self.assertEqual(theme["user_overrides"], {"navbar_color": "#123456"})
+
+	def test_invalid_color_is_rejected(self):
+		self.assertRaises(frappe.ValidationError, save_user_preferences, {"navbar_color": "red"})
@@ -82,6 +82,27 @@ web_include_js = "/assets/frappe_desk_theme/js/frappe_desk_theme.js?v={}".format
 # 	"filters": "frappe_desk_theme.utils.jinja_filters"
 # }
 
+# Boot
+# ----
+
+extend_bootinfo = "frappe_desk_theme.boot.extend_bootinfo"
+
+# The login page gets the theme CSS inlined into its head
+update_website_context = "frappe_desk_theme.boot.update_website_context"
+
+# Navbar
+# ------
+# Items added to the user dropdown menu
+
+standard_navbar_items = [
+	{
+		"item_label": "Theme Preferences",
+		"item_type": "Action",
+		"action": "window.frappeDeskTheme?.openUserPreferences()",
+		"is_standard": 1,
+	},
+]
+
 # Installation
 # ------------
 
@@ -143,6 +164,12 @@ web_include_js = "/assets/frappe_desk_theme/js/frappe_desk_theme.js?v={}".format
 # Scheduled Tasks
 # ---------------
 
+scheduler_events = {
+	"all": [
+		"frappe_desk_theme.tasks.publish_scheduled_theme_changes",
+	],
+}
+
 # scheduler_events = {
 # 	"all": [
 # 		"frappe_desk_theme.tasks.all"
@@ -0,0 +1,109 @@
+"""Allowlist sanitizer for the bits of HTML a theme puts in the desk footer"""
+
+import re
+from html import escape
+from html.parser import HTMLParser
+from urllib.parse import urlparse
+
+# Tags that may appear, with the attributes each one may carry
+ALLOWED_TAGS = {
+	"a": ("href", "title", "target", "rel"),
+	"b": (),
+	"strong": (),
+	"i": (),
+	"em": (),
+	"span": (),
+	"br": (),
+	"img": ("src", "alt", "title", "width", "height"),
+}
+VOID_TAGS = ("br", "img")
+URL_ATTRIBUTES = ("href", "src")
+URL_SCHEMES = ("", "http", "https", "mailto")
+
+# Dropped together with everything inside them, their text must not leak into the footer
+DROPPED_CONTENT_TAGS = ("script", "style", "iframe", "object", "template", "noscript", "textarea")
+
+# Browsers ignore control characters and spaces in a URL, e.g. "java\tscript:"
+URL_IGNORED_CHARACTERS = re.compile(r"[\x00-\x20]")
+
+
+def sanitize_footer_html(html):
+	"""Return (sanitized html, sorted descriptions of the markup that was removed)
+
+	Unknown tags are unwrapped and keep their text, open tags are closed so the
+	result can not break the markup around it.
+	"""
+	if not html:
+		return "", []
+
+	sanitizer = FooterHTMLSanitizer()
+	sanitizer.feed(html)
+	sanitizer.close()
+	return sanitizer.get_html(), sorted(sanitizer.removed)
+
+
+def is_safe_url(url):
+	return urlparse(URL_IGNORED_CHARACTERS.sub("", url or "")).scheme.lower() in URL_SCHEMES
+
+
+class FooterHTMLSanitizer(HTMLParser):
+	def __init__(self):
+		super().__init__(convert_charrefs=True)
+		self.output = []
+		self.open_tags = []
+		self.removed = set()
+		# Depth inside tags whose content is dropped
+		self.skip_depth = 0
+
+	def handle_starttag(self, tag, attrs):
+		if tag in DROPPED_CONTENT_TAGS:
+			self.skip_depth += 1
+		if self.skip_depth or tag not in ALLOWED_TAGS:
+			self.removed.add(f"<{tag}>")
+			return
+
+		kept = []
+		for name, value in attrs:
+			if name not in ALLOWED_TAGS[tag] or (name in URL_ATTRIBUTES and not is_safe_url(value)):
+				self.removed.add(f"{name} on <{tag}>")
+				continue
+			kept.append((name, value or ""))
+
+		# Pages opened from the footer get no handle on the desk
+		if tag == "a" and any(name == "target" for name, _value in kept):
+			kept = [(name, value) for name, value in kept if name != "rel"] + [("rel", "noopener noreferrer")]
+
+		attributes = "".join(f' {name}="{escape(value)}"' for name, value in kept)
+		self.output.append(f"<{tag}{attributes}>")
+		if tag not in VOID_TAGS:
+			self.open_tags.append(tag)
+
+	def handle_endtag(self, tag):
+		if tag in DROPPED_CONTENT_TAGS and self.skip_depth:
+			self.skip_depth -= 1
+			return
+		if self.skip_depth or tag not in self.open_tags:
+			return
+
+		# Close whatever was left open inside this element too
+		while self.open_tags:
+			open_tag = self.open_tags.pop()
+			self.output.append(f"</{open_tag}>")
+			if open_tag == tag:
+				break
+
+	def handle_data(self, data):
+		if not self.skip_depth:
+			self.output.append(escape(data, quote=False))
+
+	def handle_comment(self, data):
+		self.removed.add("comments")
+
+	def handle_decl(self, decl):
+		self.removed.add(f"<!{decl}>")
+
+	def handle_pi(self, data):
+		self.removed.add(f"<?{data}>")
+
+	def get_html(self):
+		return "".join(self.output) + "".join(f"</{tag}>" for tag in reversed(self.open_tags))
@@ -0,0 +1,91 @@
+"""Responsive WebP variants and low-quality placeholders for login page backgrounds"""
+
+import base64
+import os
+from io import BytesIO
+
+import frappe
+from PIL import Image, ImageOps
+
+# Widths browsers pick from by viewport and device pixel ratio, images are never upscaled
+VARIANT_WIDTHS = (640, 1280, 1920, 2560)
+VARIANT_QUALITY = 80
+
+# Inlined as a data URI and stretched to cover the page while the real image loads
+PLACEHOLDER_WIDTH = 24
+
+
+def get_image_set(file_url, theme_name):
+	"""Resize a local image into WebP variants and a placeholder
+
+	Returns {"variants": [{"width", "url"}], "placeholder": data URI}, or None when the URL
+	is not a local image file. Variants are attached to the theme and are private when the
+	source is.
+	"""
+	file_name = frappe.db.get_value("File", {"file_url": file_url, "is_folder": 0})
+	if not file_name:
+		return None
+
+	try:
+		source = frappe.get_doc("File", file_name)
+		image = ImageOps.exif_transpose(Image.open(BytesIO(source.get_content())))
+		if image.mode not in ("RGB", "RGBA"):
+			image = image.convert("RGBA" if "A" in image.getbands() else "RGB")
+
+		base_name = os.path.splitext(source.file_name)[0]
+		variants = []
+		for width in sorted({min(width, image.width) for width in VARIANT_WIDTHS}):
+			variant = save_variant(
+				resize(image, width),
+				f"{base_name}-{width}w.webp",
+				theme_name,
+				is_private=source.is_private,
+				quality=VARIANT_QUALITY,
+			)
+			variants.append({"width": width, "url": variant.file_url})
+
+		placeholder = BytesIO()
+		resize(image, PLACEHOLDER_WIDTH).save(placeholder, "WEBP", quality=30)
+		return {
+			"variants": variants,
+			"placeholder": "data:image/webp;base64," + base64.b64encode(placeholder.getvalue()).decode(),
+		}
+	except Exception:
+		# A broken image must not block saving the theme, the client falls back to the original
+		frappe.log_error(f"Error generating login image variants for {file_url}")
+		return None
+
+
+def resize(image, width):
+	height = max(1, round(image.height * width / image.width))
+	return image.resize((width, height), Image.LANCZOS)
+
+
+def save_variant(image, file_name, theme_name, is_private, quality):
+	content = BytesIO()
+	image.save(content, "WEBP", quality=quality)
+	return frappe.get_doc(
+		{
+			"doctype": "File",
+			"file_name": file_name,
+			"content": content.getvalue(),
+			"is_private": is_private,
+			"attached_to_doctype": "Desk Theme",
+			"attached_to_name": theme_name,
+		}
+	).save(ignore_permissions=True)
+
+
+def delete_image_set(image_set, theme_name):
+	"""Delete the variant files of an image set, once its source is no longer used by the theme"""
+	for variant in image_set.get("variants") or []:
+		for file_name in frappe.get_all(
+			"File",
+			filters={
+				"file_url": variant["url"],
+				"attached_to_doctype": "Desk Theme",
+				"attached_to_name": theme_name,
+			},
+			pluck="name",
+		):
+			frappe.delete_doc("File", file_name, ignore_permissions=True)
@@ -0,0 +1,51 @@
+import frappe
+from frappe.model import child_table_fields, default_fields, no_value_fields
+
+from frappe_desk_theme.patches.migrate_visibility_rules import (
+	get_legacy_search_roles,
+	get_legacy_visibility_rules,
+)
+
+
+def execute():
+	"""Move the values of the former single Desk Theme into a "Default" theme record"""
+	if frappe.db.count("Desk Theme"):
+		return
+
+	values = frappe._dict(frappe.db.sql("select field, value from `tabSingles` where doctype = 'Desk Theme'"))
+	if not values:
+		return
+
+	meta = frappe.get_meta("Desk Theme")
+	doc = frappe.new_doc("Desk Theme")
+	for df in meta.fields:
+		if df.fieldname in values and df.fieldtype not in no_value_fields:
+			doc.set(df.fieldname, values[df.fieldname])
+
+	# Child rows of a single are stored with the doctype name as parent
+	for df in meta.get_table_fields():
+		rows = frappe.get_all(
+			df.options,
+			filters={"parent": "Desk Theme", "parenttype": "Desk Theme", "parentfield": df.fieldname},
+			fields=["*"],
+			order_by="idx asc",
+		)
+		for row in rows:
+			doc.append(
+				df.fieldname,
+				{k: v for k, v in row.items() if k not in default_fields and k not in child_table_fields},
+			)
+
+	# The former hide_* settings are no longer fields of the doctype
+	for rule in get_legacy_visibility_rules(values, get_legacy_search_roles("Desk Theme")):
+		doc.append("visibility_rules", rule)
+
+	doc.theme_name = "Default"
+	doc.is_default = 1
+	doc.flags.ignore_validate = True
+	doc.insert(ignore_permissions=True)
+
+	for df in meta.get_table_fields():
+		frappe.db.delete(df.options, {"parent": "Desk Theme", "parenttype": "Desk Theme"})
+	frappe.db.delete("Has Role", {"parent": "Desk Theme", "parenttype": "Desk Theme"})
+	frappe.db.delete("Singles", {"doctype": "Desk Theme"})
@@ -0,0 +1,45 @@
+import frappe
+from frappe.utils import cint
+
+# Former Desk Theme checkboxes and the visibility rule each one becomes
+LEGACY_FIELDS = {
+	"hide_side_bar": ("Sidebar", "Collapse"),
+	"hide_app_switcher": ("App Switcher", "Hide"),
+	"hide_help_button": ("Help Button", "Hide"),
+	"table_hide_like_comment_section": ("Like and Comment Counts", "Hide"),
+}
+
+
+def execute():
+	"""Turn the former hide_* checkboxes and hide_search roles into visibility rules"""
+	columns = [fieldname for fieldname in LEGACY_FIELDS if frappe.db.has_column("Desk Theme", fieldname)]
+
+	for values in frappe.get_all("Desk Theme", fields=["name", *columns]):
+		theme = frappe.get_doc("Desk Theme", values.name)
+		if theme.visibility_rules:
+			continue
+
+		for rule in get_legacy_visibility_rules(values, get_legacy_search_roles(theme.name)):
+			theme.append("visibility_rules", rule).db_insert()
+
+	frappe.db.delete("Has Role", {"parenttype": "Desk Theme", "parentfield": "hide_search"})
+
+
+def get_legacy_search_roles(parent):
+	return frappe.get_all(
+		"Has Role",
+		filters={"parenttype": "Desk Theme", "parent": parent, "parentfield": "hide_search"},
+		order_by="idx asc",
+		pluck="role",
+	)
+
+
+def get_legacy_visibility_rules(values, search_roles):
+	"""Return the visibility rules equivalent to the former settings of a theme"""
+	rules = [
+		{"element": element, "action": action}
+		for fieldname, (element, action) in LEGACY_FIELDS.items()
+		if cint(values.get(fieldname))
+	]
+	rules += [{"element": "Search Bar", "action": "Hide", "role": role} for role in search_roles]
+	return rules
@@ -0,0 +1,8 @@
+import frappe
+
+
+def execute():
+	"""Keep the login box where it was, the top offset used to be 26% with the app logo inside the box"""
+	frappe.db.set_value(
+		"Desk Theme", {"is_app_details_inside_the_box": 1}, "login_box_top_offset", 26, update_modified=False
+	)
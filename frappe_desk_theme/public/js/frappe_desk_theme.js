@@ -7,24 +7,62 @@ class FrappeDeskTheme {
     constructor() {
         // Store theme configuration data from server
         this.themeData = null;
-        // Cache configuration
-        this.cacheKey = 'frappe_desk_theme_cache';
-        this.footerCacheStorageKey = 'frappe_desk_theme_footer_cache';
-        this.cacheTimeout = 30 * 24 * 60 * 60 * 1000; // 30 days (1 month) in milliseconds
+        // Cache configuration - themes resolve per user, so caches are kept per user too
+        const user = this.getSessionUser();
+        this.cacheKey = `frappe_desk_theme_cache:${user}`;
+        this.footerCacheStorageKey = `frappe_desk_theme_footer_cache:${user}`;
+        // Version stamp of the theme resolved on the server (undefined until known)
+        this.themeVersion = undefined;
         // Footer creation throttling and caching
         this.footerCreating = false;
         this.footerHtmlCache = null;
         this.footerCacheKey = null; // Track what theme data the footer was cached for
-        this.stickyFooterListenerSetup = false;
+        // Sidebar observer and click listener of the sticky footer, set up again with every footer
+        this.stickyFooterObserver = null;
+        this.stickyFooterClickHandler = null;
+        // Live preview state (Desk Theme form) - saved theme is kept aside while previewing
+        this.previewActive = false;
+        this.savedThemeData = null;
+        // Safe mode (?desk_theme_safe_mode=1) skips custom CSS so a broken stylesheet can be fixed
+        this.safeMode = new URLSearchParams(window.location.search).has('desk_theme_safe_mode');
+        // Web fonts already added to document.fonts
+        this.registeredFonts = new Set();
+        // Theme CSS the server inlined into the page, styles the page until the theme is applied here
+        FrappeDeskTheme.insertBootCSS();
+        this.serverCSS = document.getElementById('desk-theme-server-css');
         this.init();
     }
 
+    /**
+     * Add the theme CSS shipped with boot info to the desk
+     * Runs as soon as the script loads, before Frappe renders the desk; web pages get the
+     * same CSS inlined into their head by the server
+     */
+    static insertBootCSS() {
+        const boot = window.frappe?.boot;
+        if (!boot?.desk_theme_css || document.getElementById('desk-theme-server-css')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'desk-theme-server-css';
+        style.dataset.themeVersion = boot.desk_theme_version ?? '';
+        style.textContent = boot.desk_theme_css;
+        document.head.appendChild(style);
+    }
+
     /**
      * Initialize the theme system
      * First applies cached theme immediately, then loads fresh data if needed
      * Uses async/await pattern with graceful error handling
      */
     async init() {
+        // Login preview inside the Desk Theme form renders the posted (unsaved) theme only
+        if (this.isPreviewFrame()) {
+            this.setupPreviewFrame();
+            return;
+        }
+
         try {
             // Apply cached theme immediately to prevent flickering
             this.applyCachedTheme();
@@ -38,6 +76,13 @@ class FrappeDeskTheme {
             }
             
             this.setupEventListeners();
+
+            if (this.safeMode) {
+                frappe?.show_alert?.({
+                    message: __('Desk Theme safe mode: custom CSS is disabled'),
+                    indicator: 'orange'
+                });
+            }
         } catch (error) {
             // Production-ready silent fail - apply default theme and show login box
             this.applyTheme();
@@ -45,6 +90,42 @@ class FrappeDeskTheme {
         }
     }
 
+    /**
+     * Check if this page is the login preview embedded in the Desk Theme form
+     * @returns {boolean} True when rendered inside the form's preview iframe
+     */
+    isPreviewFrame() {
+        return window.parent !== window
+            && new URLSearchParams(window.location.search).has('desk_theme_preview');
+    }
+
+    /**
+     * Apply themes posted by the Desk Theme form instead of the saved theme
+     * Nothing is fetched or cached inside the preview
+     */
+    setupPreviewFrame() {
+        window.addEventListener('message', (event) => {
+            // Only accept messages from the form that embeds this page
+            if (event.origin !== window.location.origin || event.source !== window.parent) {
+                return;
+            }
+            // The form asks again once this page has loaded
+            if (event.data?.type === 'desk-theme-preview-ping') {
+                window.parent.postMessage({ type: 'desk-theme-preview-ready' }, window.location.origin);
+                return;
+            }
+            if (event.data?.type !== 'desk-theme-preview' || !event.data.theme) {
+                return;
+            }
+
+            this.themeData = event.data.theme;
+            this.applyTheme();
+        });
+
+        // Ask the form for the current document
+        window.parent.postMessage({ type: 'desk-theme-preview-ready' }, window.location.origin);
+    }
+
     /**
      * Fallback method to show login box if theme loading fails
      * Ensures login form is always visible even if theme fails to load
@@ -58,12 +139,35 @@ class FrappeDeskTheme {
         }
     }
 
+    /**
+     * Get the session user the theme is resolved for
+     * Desk pages expose it through boot info, web pages (login) through the user_id cookie
+     * @returns {string} User ID, or 'Guest' when not logged in
+     */
+    getSessionUser() {
+        const bootUser = frappe?.boot?.user?.name;
+        if (bootUser) {
+            return bootUser;
+        }
+
+        let cookies = '';
+        try {
+            cookies = document.cookie;
+        } catch (error) {
+            // Sandboxed documents (the login preview) can not read cookies
+        }
+        const match = cookies.match(/(?:^|;\s*)user_id=([^;]*)/);
+        return match ? decodeURIComponent(match[1]) : 'Guest';
+    }
+
     /**
      * Apply cached theme immediately to prevent UI flickering
      */
     applyCachedTheme() {
         const cachedData = this.getCachedTheme();
-        if (cachedData && cachedData.data) {
+        // A cache older than the server's CSS would bring back outdated colors
+        const isStale = this.serverCSS && cachedData?.themeVersion !== this.serverCSS.dataset.themeVersion;
+        if (cachedData && cachedData.data && !isStale) {
             this.themeData = cachedData.data;
             this.applyTheme();
         } else {
@@ -94,6 +198,7 @@ class FrappeDeskTheme {
             const cacheData = {
                 data: themeData,
                 timestamp: Date.now(),
+                themeVersion: themeData.theme_version ?? null,
                 version: 1 // Increment this when theme structure changes
             };
             localStorage.setItem(this.cacheKey, JSON.stringify(cacheData));
@@ -104,22 +209,55 @@ class FrappeDeskTheme {
 
     /**
      * Check if cached theme is still valid
-     * @returns {boolean} True if cache is valid and not expired
+     * @returns {boolean} True if cache matches the server theme version
      */
     isCacheValid() {
         const cachedData = this.getCachedTheme();
         if (!cachedData) return false;
 
-        const now = Date.now();
-        const cacheAge = now - cachedData.timestamp;
-        
-        return cacheAge < this.cacheTimeout; // 30 days
+        // Version unknown (server unreachable) - keep using the cached theme
+        if (this.themeVersion === undefined) {
+            return true;
+        }
+
+        return cachedData.themeVersion === this.themeVersion;
+    }
+
+    /**
+     * Get the version stamp of the theme resolved for the session user
+     * Desk pages read it from boot info, other pages (login) ask a cheap endpoint
+     * @returns {Promise<string|null|undefined>} Version stamp, null when no theme exists, undefined on failure
+     */
+    async getThemeVersion() {
+        if (frappe?.boot && 'desk_theme_version' in frappe.boot) {
+            return frappe.boot.desk_theme_version;
+        }
+
+        try {
+            const response = await fetch('/api/method/frappe_desk_theme.api.get_custom_theme_version', {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! Status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            return data?.message ?? null;
+        } catch (error) {
+            return undefined;
+        }
     }
 
     /**
-     * Load theme only if cache is invalid or doesn't exist
+     * Load theme only if cache is stale or doesn't exist
      */
     async loadThemeIfNeeded() {
+        this.themeVersion = await this.getThemeVersion();
+
         // Skip API call if cache is still valid
         if (this.isCacheValid()) {
             return;
@@ -131,6 +269,7 @@ class FrappeDeskTheme {
     /**
      * Load theme configuration from server API
      * Fetches custom theme data via REST API endpoint
+     * Guests only receive login page fields, so desk settings may be absent
      * Handles response parsing and error states
      */
     async loadTheme() {
@@ -148,13 +287,14 @@ class FrappeDeskTheme {
 
             const data = await response.json();
             // Handle different response formats - some APIs wrap data in 'message' property
-            this.themeData = data?.message || data;
+            this.themeData = this.mergeUserOverrides(data?.message || data);
             
             if (!this.themeData) {
                 throw new Error('No theme data received');
             }
 
             // Cache the new theme data
+            this.themeVersion = this.themeData.theme_version ?? null;
             this.setCachedTheme(this.themeData);
             
         } catch (error) {
@@ -168,6 +308,57 @@ class FrappeDeskTheme {
         }
     }
 
+    /**
+     * Layer the user's own preferences over the site theme
+     * The merged result is what gets cached, per user
+     * @param {Object} themeData Theme data from the server
+     * @returns {Object} Theme data with the user's overrides applied
+     */
+    mergeUserOverrides(themeData) {
+        if (!themeData?.user_overrides) {
+            return themeData;
+        }
+        return { ...themeData, ...themeData.user_overrides };
+    }
+
+    /**
+     * Let the user override the theme fields their admin allows
+     * Opened from Theme Preferences in the user dropdown menu
+     */
+    async openUserPreferences() {
+        const { fields, values } = await frappe.xcall('frappe_desk_theme.api.get_user_preferences');
+        if (!fields.length) {
+            frappe.msgprint(__('Your Desk Theme has no preferences you can change'));
+            return;
+        }
+
+        const savePreferences = async (preferences) => {
+            await frappe.xcall('frappe_desk_theme.api.save_user_preferences', { values: preferences });
+            dialog.hide();
+            await this.refreshTheme();
+        };
+
+        const dialog = new frappe.ui.Dialog({
+            title: __('Theme Preferences'),
+            fields: fields.map(df => ({
+                fieldname: df.fieldname,
+                fieldtype: df.fieldtype,
+                label: df.label,
+                description: df.description,
+                // A blank option follows the theme
+                options: df.fieldtype === 'Select'
+                    ? ['', ...(df.options || '').split('\n').filter(Boolean)].join('\n')
+                    : df.options,
+                default: values[df.fieldname]
+            })),
+            primary_action_label: __('Save'),
+            primary_action: (preferences) => savePreferences(preferences),
+            secondary_action_label: __('Reset to Theme'),
+            secondary_action: () => savePreferences({})
+        });
+        dialog.show();
+    }
+
     /**
      * Force refresh theme from server (ignores cache)
      * Useful for manual theme updates or admin changes
@@ -177,6 +368,10 @@ class FrappeDeskTheme {
             // Clear footer cache to ensure fresh data
             this.footerHtmlCache = null;
             this.footerCacheKey = null;
+
+            // A fresh theme replaces any running preview
+            this.previewActive = false;
+            this.savedThemeData = null;
             
             await this.loadTheme();
             this.applyTheme();
@@ -190,6 +385,42 @@ class FrappeDeskTheme {
         }
     }
 
+    /**
+     * Temporarily apply unsaved theme values as CSS variables (Desk Theme form preview)
+     * Nothing is cached - revertPreview() restores the saved theme
+     * @param {Object} previewData Theme values to preview, usually the unsaved form document
+     */
+    previewTheme(previewData) {
+        if (!this.previewActive) {
+            this.savedThemeData = this.themeData;
+            this.previewActive = true;
+        }
+
+        this.themeData = { ...previewData };
+        this.setCSSVariables();
+        this.applyCustomCSS();
+    }
+
+    /**
+     * Restore the saved theme after a preview
+     */
+    revertPreview() {
+        if (!this.previewActive) {
+            return;
+        }
+
+        this.themeData = this.savedThemeData;
+        this.savedThemeData = null;
+        this.previewActive = false;
+        if (this.themeData) {
+            this.setCSSVariables();
+        } else {
+            this.clearCSSVariables();
+            this.setDefaultCSSVariables();
+        }
+        this.applyCustomCSS();
+    }
+
     /**
      * Save footer cache to localStorage
      */
@@ -198,6 +429,7 @@ class FrappeDeskTheme {
             const cacheData = {
                 html: footerHtml,
                 key: cacheKey,
+                themeVersion: this.themeData?.theme_version,
                 timestamp: Date.now()
             };
             localStorage.setItem(this.footerCacheStorageKey, JSON.stringify(cacheData));
@@ -215,14 +447,12 @@ class FrappeDeskTheme {
             if (!cached) return null;
 
             const cacheData = JSON.parse(cached);
-            const now = Date.now();
-            const cacheAge = now - cacheData.timestamp;
 
-            // Return cached data if it's still valid (within 30-day timeout)
-            if (cacheAge < this.cacheTimeout) {
+            // Return cached data if it was rendered for the current theme version
+            if (cacheData.themeVersion === this.themeData?.theme_version) {
                 return cacheData;
             } else {
-                // Remove expired cache
+                // Remove stale cache
                 localStorage.removeItem(this.footerCacheStorageKey);
                 return null;
             }
@@ -247,26 +477,39 @@ class FrappeDeskTheme {
     }
 
     /**
-     * Check if current user's roles match hide_search configuration
-     * Used to conditionally hide search bar based on user permissions
-     * @returns {boolean} True if search should be hidden for current user
+     * Check if a visibility rule targets the current user
+     * Rules without a role apply to everyone
+     * @param {Object} rule Visibility rule row from the theme
+     * @returns {boolean} True if the rule applies to the current user
      */
-    getUserRoles() {
-        const currentUser = frappe?.boot?.user?.roles;
-        // Exit early if no user roles or no hide_search config
-        if (!currentUser || !this.themeData?.hide_search) {
-            return false;
+    ruleAppliesToUser(rule) {
+        if (!rule.role) {
+            return true;
         }
 
-        // Special handling for Administrator role
-        if (currentUser.includes('Administrator')) {
-            return this.themeData.hide_search.some(u => u.role === 'Administrator');
+        const roles = frappe?.boot?.user?.roles || [];
+        // Administrator holds every role, so only rules for Administrator itself apply
+        if (roles.includes('Administrator')) {
+            return rule.role === 'Administrator';
         }
+        return roles.includes(rule.role);
+    }
 
-        // Check if any user role matches hide_search configuration
-        return currentUser.some(role => 
-            this.themeData.hide_search.some(u => u.role === role)
-        );
+    /**
+     * Get the visibility rules of the current theme that apply to the current user
+     * @returns {Array} Visibility rule rows
+     */
+    getActiveVisibilityRules() {
+        return (this.getSavedThemeData()?.visibility_rules || []).filter(rule => this.ruleAppliesToUser(rule));
+    }
+
+    /**
+     * Get the saved theme, also while the Desk Theme form previews unsaved values
+     * Previews only cover CSS, visibility rules and the footer keep following the saved theme
+     * @returns {Object|null} Saved theme data
+     */
+    getSavedThemeData() {
+        return this.previewActive ? this.savedThemeData : this.themeData;
     }
 
     /**
@@ -276,29 +519,85 @@ class FrappeDeskTheme {
      */
     clearCSSVariables() {
         const root = document.documentElement;
+        // Variables are set here from now on, the server's copy would outlive cleared values
+        document.getElementById('desk-theme-server-css')?.remove();
         // Comprehensive list of all theme CSS variables
         const cssVariables = [
             '--login-bg-color', '--login-bg-image', '--login-box-position', '--login-box-right', '--login-box-left',
             '--login-btn-bg', '--login-btn-color', '--login-btn-hover-bg', '--login-btn-hover-color',
             '--login-box-bg', '--page-heading-color', '--input-bg', '--input-color', '--input-border',
-            '--input-label-color', '--navbar-bg', '--navbar-color', '--hide-help', '--btn-primary-bg',
+            '--input-label-color', '--navbar-bg', '--navbar-color', '--btn-primary-bg',
             '--btn-primary-color', '--btn-primary-hover-bg', '--btn-primary-hover-color', '--btn-secondary-bg',
             '--btn-secondary-color', '--btn-secondary-hover-bg', '--btn-secondary-hover-color', '--body-bg',
             '--content-bg', '--table-head-bg', '--table-head-color', '--table-body-bg', '--table-body-color',
-            '--hide-like-comment', '--widget-bg', '--widget-border', '--widget-color', '--sidebar-expanded',
+            '--widget-bg', '--widget-border', '--widget-color',
             '--login-content-border', '--login-title-display', '--login-title-after-display', 
             '--login-title-after-justify', '--login-title-after-margin', '--login-title-after-content', '--login-title-after-color',
             '--login-box-top', '--login-box-bg-override', '--login-box-border-radius', '--search-bar-display',
             '--navbar-toggler-border', '--breadcrumb-disabled-color', '--help-nav-link-color', '--help-nav-link-stroke',
-            '--hide-app-switcher', '--app-switcher-pointer-events', '--footer-bg', '--footer-color', '--footer-border',
+            '--footer-bg', '--footer-color', '--footer-border',
             '--footer-display', '--footer-powered-color', '--footer-link-color', '--footer-link-hover-color',
-            '--carousel-fade-opacity', '--login-bg-carousel-image'
+            '--carousel-fade-opacity', '--login-bg-carousel-image', '--login-bg-placeholder', '--font-stack', '--heading-font-stack',
+            '--text-xs', '--text-sm', '--text-md', '--text-base', '--text-lg', '--text-xl', '--text-2xl', '--text-3xl',
+            '--padding-xs', '--padding-sm', '--padding-md', '--padding-lg', '--padding-xl', '--margin-xs', '--margin-sm',
+            '--margin-md', '--margin-lg', '--margin-xl', '--control-height', '--button-radius', '--input-radius',
+            '--card-radius', '--card-shadow', '--page-max-width', '--login-image-width', '--login-bg-blur',
+            '--login-panel-bottom'
         ];
 
         // Remove each CSS variable from document root
         cssVariables.forEach(variable => {
             root.style.removeProperty(variable);
         });
+        root.classList.remove(
+            'desk-theme-ui-font', 'desk-theme-heading-font', 'desk-theme-density', 'desk-theme-button-radius',
+            'desk-theme-input-radius', 'desk-theme-card-radius', 'desk-theme-shadow', 'desk-theme-login-split',
+            'desk-theme-login-image-right', 'desk-theme-login-centered', 'desk-theme-login-full-bleed'
+        );
+    }
+
+    /**
+     * Apply the login page layout and its offsets
+     * Classic keeps the box positioned Left, Right or in the Frappe default spot,
+     * the other layouts are driven by a class on the root element
+     * @param {Object} theme Theme configuration
+     */
+    applyLoginLayout(theme) {
+        const root = document.documentElement;
+        const layout = theme.login_layout || 'Classic';
+
+        if (layout === 'Classic') {
+            if (theme.login_box_position && theme.login_box_position !== 'Default') {
+                const sideOffset = `${theme.login_box_side_offset ?? 10}%`;
+                root.style.setProperty('--login-box-position', 'absolute');
+                root.style.setProperty('--login-box-right', theme.login_box_position === 'Right' ? sideOffset : 'auto');
+                root.style.setProperty('--login-box-left', theme.login_box_position === 'Left' ? sideOffset : 'auto');
+                root.style.setProperty('--login-box-padding', theme.is_app_details_inside_the_box === 1 ? '18px 40px 40px 40px' : '40px');
+            }
+            if (theme.login_box_top_offset != null) {
+                root.style.setProperty('--login-box-top', `${theme.login_box_top_offset}%`);
+            }
+            return;
+        }
+
+        const layoutClass = {
+            'Split Screen': 'desk-theme-login-split',
+            'Centered Card': 'desk-theme-login-centered',
+            'Full Bleed': 'desk-theme-login-full-bleed'
+        }[layout];
+        if (!layoutClass) {
+            return;
+        }
+        root.classList.add(layoutClass);
+
+        if (layout === 'Split Screen') {
+            root.classList.toggle('desk-theme-login-image-right', theme.login_image_side === 'Right');
+            root.style.setProperty('--login-image-width', `${theme.login_image_width || 50}%`);
+        } else if (layout === 'Centered Card') {
+            root.style.setProperty('--login-bg-blur', `${theme.login_background_blur ?? 8}px`);
+        } else {
+            root.style.setProperty('--login-panel-bottom', `${theme.login_panel_bottom_offset || 0}px`);
+        }
     }
 
     /**
@@ -320,11 +619,6 @@ class FrappeDeskTheme {
         root.style.setProperty('--login-title-after-display', 'none');
         
         // UI element visibility defaults
-        root.style.setProperty('--hide-help', 'block');
-        root.style.setProperty('--hide-like-comment', 'block');
-        root.style.setProperty('--hide-app-switcher', 'block');
-        root.style.setProperty('--app-switcher-pointer-events', 'auto');
-        root.style.setProperty('--sidebar-expanded', '');
         root.style.setProperty('--login-box-width', '400px');
         root.style.setProperty('--search-bar-display', 'block');
         
@@ -347,6 +641,44 @@ class FrappeDeskTheme {
         root.style.setProperty('--carousel-fade-opacity', '1');
     }
 
+    /**
+     * Check if the desk is currently rendered in dark mode
+     * Frappe resolves light/dark/automatic into the data-theme attribute of <html>
+     * @returns {boolean} True when dark colors should be used
+     */
+    isDarkMode() {
+        const theme = document.documentElement.getAttribute('data-theme');
+        if (theme === 'dark' || theme === 'light') {
+            return theme === 'dark';
+        }
+
+        // Automatic mode not resolved yet - follow the OS preference
+        if (document.documentElement.getAttribute('data-theme-mode') === 'automatic') {
+            return !!window.matchMedia?.('(prefers-color-scheme: dark)').matches;
+        }
+        return false;
+    }
+
+    /**
+     * Get theme data for the current color scheme
+     * In dark mode every dark_<field> value that is set replaces its light <field> value
+     * @returns {Object} Theme data with dark variants applied when needed
+     */
+    getColorSchemeTheme() {
+        const theme = this.themeData;
+        if (!this.isDarkMode()) {
+            return theme;
+        }
+
+        const resolved = { ...theme };
+        Object.keys(theme).forEach(key => {
+            if (key.startsWith('dark_') && theme[key]) {
+                resolved[key.slice('dark_'.length)] = theme[key];
+            }
+        });
+        return resolved;
+    }
+
     /**
      * Apply theme configuration to CSS custom properties
      * Maps theme data fields to corresponding CSS variables
@@ -354,7 +686,7 @@ class FrappeDeskTheme {
      */
     setCSSVariables() {
         const root = document.documentElement;
-        const theme = this.themeData;
+        const theme = this.getColorSchemeTheme();
 
         // Reset all variables to clean state
         this.clearCSSVariables();
@@ -370,23 +702,14 @@ class FrappeDeskTheme {
                 root.style.setProperty('--login-bg-color', theme.login_page_background_color);
             }
             if (theme.login_page_background_image) {
-                root.style.setProperty('--login-bg-image', `url("${theme.login_page_background_image}")`);
+                const imageUrl = this.getResponsiveImageUrl(theme.login_page_background_image);
+                root.style.setProperty('--login-bg-image', `url("${imageUrl}")`);
+                this.setImagePlaceholder(theme.login_page_background_image);
             }
         }
         
-        // Login box positioning - supports Left, Right, or Default positioning
-        if (theme.login_box_position && theme.login_box_position !== 'Default') {
-            root.style.setProperty('--login-box-position', 'absolute');
-            root.style.setProperty('--login-box-right', theme.login_box_position === 'Right' ? '10%' : 'auto');
-            root.style.setProperty('--login-box-left', theme.login_box_position === 'Left' ? '10%' : 'auto');
-            root.style.setProperty('--login-box-padding', theme.is_app_details_inside_the_box === 1 ? '18px 40px 40px 40px' : '40px');
-        }
+        this.applyLoginLayout(theme);
 
-        // Login box vertical positioning and app details integration
-        if (theme.is_app_details_inside_the_box !== undefined) {
-            root.style.setProperty('--login-box-top', theme.is_app_details_inside_the_box === 1 ? '26%' : '18%');
-        }
-        
         // Special styling when app details are inside the login box
         if (theme.is_app_details_inside_the_box === 1) {
             root.style.setProperty('--login-box-bg-override', theme.login_box_background_color);
@@ -451,13 +774,6 @@ class FrappeDeskTheme {
         if (theme.navbar_text_color) {
             root.style.setProperty('--navbar-color', theme.navbar_text_color);
         }
-        if (theme.hide_help_button !== undefined) {
-            root.style.setProperty('--hide-help', theme.hide_help_button ? 'none' : 'block');
-        }
-        if (theme.hide_app_switcher !== undefined) {
-            root.style.setProperty('--hide-app-switcher', theme.hide_app_switcher ? 'none' : 'block');
-            root.style.setProperty('--app-switcher-pointer-events', theme.hide_app_switcher ? 'none' : 'auto');
-        }
 
         // Primary button styling
         if (theme.button_background_color) {
@@ -519,9 +835,6 @@ class FrappeDeskTheme {
         if (theme.table_body_text_color) {
             root.style.setProperty('--table-body-color', theme.table_body_text_color);
         }
-        if (theme.table_hide_like_comment_section !== undefined) {
-            root.style.setProperty('--hide-like-comment', theme.table_hide_like_comment_section ? 'none' : 'block');
-        }
 
         // Widget/card styling (number cards, dashboard widgets)
         if (theme.number_card_background_color) {
@@ -543,10 +856,121 @@ class FrappeDeskTheme {
             root.style.setProperty('--footer-powered-color', theme.footer_text_color);
         }
 
-        // Sidebar visibility control
-        if (theme.hide_side_bar !== undefined) {
-            root.style.setProperty('--sidebar-expanded', theme.hide_side_bar === 0 ? 'expanded' : '');
+        // Typography - fonts and text sizes
+        this.applyTypography(theme);
+
+        // Design tokens - density, border radius, shadows and content width
+        this.applyLayoutTokens(theme);
+    }
+
+    /**
+     * Map density, border radius, shadow and content width settings onto CSS variables
+     * Radius and shadow rules only apply when the theme sets them, Frappe's defaults apply otherwise
+     * @param {Object} theme Theme values for the current color scheme
+     */
+    applyLayoutTokens(theme) {
+        const root = document.documentElement;
+
+        // Density scales Frappe's spacing variables and the height of form controls
+        const densityScale = { Compact: 0.75, Spacious: 1.25 }[theme.density];
+        if (densityScale) {
+            const spacing = { xs: 5, sm: 8, md: 15, lg: 20, xl: 30 };
+            Object.entries(spacing).forEach(([name, size]) => {
+                const value = `${Math.round(size * densityScale)}px`;
+                root.style.setProperty(`--padding-${name}`, value);
+                root.style.setProperty(`--margin-${name}`, value);
+            });
+            root.style.setProperty('--control-height', `${Math.round(28 * densityScale)}px`);
+            root.classList.add('desk-theme-density');
+        }
+
+        // Border radius scale shared by buttons, inputs and cards
+        const radiusScale = { None: '0', Small: '4px', Medium: '8px', Large: '16px', Pill: '999px' };
+        const radii = {
+            button: theme.button_border_radius,
+            input: theme.input_border_radius,
+            card: theme.card_border_radius
+        };
+        Object.entries(radii).forEach(([name, radius]) => {
+            if (radiusScale[radius]) {
+                root.style.setProperty(`--${name}-radius`, radiusScale[radius]);
+                root.classList.add(`desk-theme-${name}-radius`);
+            }
+        });
+
+        const shadows = {
+            None: 'none',
+            Subtle: '0 1px 3px rgba(0, 0, 0, 0.08)',
+            Medium: '0 4px 12px rgba(0, 0, 0, 0.12)',
+            Strong: '0 8px 24px rgba(0, 0, 0, 0.2)'
+        };
+        if (shadows[theme.shadow_intensity]) {
+            root.style.setProperty('--card-shadow', shadows[theme.shadow_intensity]);
+            root.classList.add('desk-theme-shadow');
+        }
+
+        // Content width - the stylesheet defaults to the full screen width
+        const contentMaxWidth = parseInt(theme.content_max_width, 10);
+        if (contentMaxWidth) {
+            root.style.setProperty('--page-max-width', `${contentMaxWidth}px`);
+        }
+    }
+
+    /**
+     * Register the theme's web fonts and map fonts and text sizes onto Frappe's CSS variables
+     * Applies to the login page and the desk alike
+     * @param {Object} theme Theme values for the current color scheme
+     */
+    applyTypography(theme) {
+        const root = document.documentElement;
+        const fallbackStack = 'system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif';
+
+        if (theme.ui_font_family) {
+            this.registerFont(theme.ui_font_family, theme.ui_font_file || theme.ui_font_url);
+            root.style.setProperty('--font-stack', `"${theme.ui_font_family}", ${fallbackStack}`);
+            root.classList.add('desk-theme-ui-font');
+        }
+        if (theme.heading_font_family) {
+            this.registerFont(theme.heading_font_family, theme.heading_font_file || theme.heading_font_url);
+            root.style.setProperty('--heading-font-stack', `"${theme.heading_font_family}", ${fallbackStack}`);
+            root.classList.add('desk-theme-heading-font');
+        }
+
+        // Frappe's text sizes scale with the base (md) size, 13px by default
+        const baseFontSize = parseInt(theme.base_font_size, 10);
+        if (baseFontSize) {
+            const textSizes = { xs: 11, sm: 12, md: 13, base: 14, lg: 16, xl: 18, '2xl': 20, '3xl': 22 };
+            Object.entries(textSizes).forEach(([name, size]) => {
+                root.style.setProperty(`--text-${name}`, `${Math.round(size * baseFontSize / 13)}px`);
+            });
+        }
+    }
+
+    /**
+     * Register a web font with the FontFace API, once per family and source
+     * Fonts without a source are expected to be installed on the device
+     * @param {string} family Font family name
+     * @param {string} source URL of a woff2 or woff file
+     */
+    registerFont(family, source) {
+        if (!source || !window.FontFace || !document.fonts) {
+            return;
+        }
+
+        const key = `${family}|${source}`;
+        if (this.registeredFonts.has(key)) {
+            return;
         }
+        this.registeredFonts.add(key);
+
+        // The weight range lets variable fonts cover every weight, static fonts get synthesized bold
+        const font = new FontFace(family, `url("${source}")`, { weight: '100 900', display: 'swap' });
+        document.fonts.add(font);
+        font.load().catch(() => {
+            // Silent fail - text keeps the fallback fonts
+            document.fonts.delete(font);
+            this.registeredFonts.delete(key);
+        });
     }
 
     /**
@@ -555,25 +979,94 @@ class FrappeDeskTheme {
      */
     applyTheme() {
         this.setCSSVariables();
-        this.toggleSidebar();
-        this.toggleSearchBar();
+        this.applyVisibilityRules();
+        this.applyCustomCSS();
         this.setDefaultApp();
         if (this.themeData.carousel && this.themeData.carousel.images && this.themeData.carousel.images.length > 0) {
             this.renderLoginCarousel();
         } else {
             this.removeLoginCarousel();
         }
+        this.renderLoginContent();
         this.showLoginBox();
         this.createFooter();
     }
 
+    /**
+     * Render the announcement banner and the content block of the login page
+     * The rich text is sanitized on the server, link labels are only ever set as text
+     */
+    renderLoginContent() {
+        document.getElementById('desk-theme-login-announcement')?.remove();
+        document.getElementById('desk-theme-login-content')?.remove();
+
+        const loginPage = document.querySelector('#page-login');
+        const loginBox = document.querySelector('.for-login');
+        if (!loginPage || !loginBox) {
+            return;
+        }
+        const theme = this.themeData;
+
+        // Cached themes keep the banner past its expiry, hide it by the browser clock
+        const expiresOn = theme.announcement_expires_on ? new Date(theme.announcement_expires_on) : null;
+        if (theme.announcement_message && !(expiresOn && expiresOn <= new Date())) {
+            const severity = theme.announcement_severity || 'Info';
+            const banner = document.createElement('div');
+            banner.id = 'desk-theme-login-announcement';
+            banner.className = `desk-theme-login-announcement ${severity.toLowerCase()}`;
+            banner.setAttribute('role', severity === 'Danger' ? 'alert' : 'status');
+            banner.textContent = theme.announcement_message;
+            loginPage.prepend(banner);
+        }
+
+        const links = [...(theme.login_links || [])];
+        if (theme.privacy_policy_url) {
+            links.push({ label: __('Privacy Policy'), url: theme.privacy_policy_url });
+        }
+        if (!theme.login_content && !links.length) {
+            return;
+        }
+
+        const content = document.createElement('div');
+        content.id = 'desk-theme-login-content';
+        content.className = 'desk-theme-login-content';
+        if (theme.login_content) {
+            const text = document.createElement('div');
+            text.className = 'desk-theme-login-text';
+            text.innerHTML = theme.login_content;
+            content.appendChild(text);
+        }
+        if (links.length) {
+            const nav = document.createElement('nav');
+            nav.className = 'desk-theme-login-links';
+            links.forEach(link => {
+                const anchor = document.createElement('a');
+                anchor.href = link.url;
+                anchor.textContent = link.label;
+                if (link.open_in_new_tab) {
+                    anchor.target = '_blank';
+                    anchor.rel = 'noopener noreferrer';
+                }
+                nav.appendChild(anchor);
+            });
+            content.appendChild(nav);
+        }
+
+        const loginCard = loginBox.querySelector('.login-content.page-card');
+        const insideBox = theme.login_content_position === 'Inside Box' && loginCard;
+        (insideBox ? loginCard : loginBox).appendChild(content);
+    }
+
     /**
      * Show login box with smooth transition after theme is applied
      * Prevents flickering by revealing the login form only after positioning is set
      */
     showLoginBox() {
         const loginBox = document.querySelector('.for-login');
-        if (loginBox) {
+        if (loginBox && this.serverCSS) {
+            // The server's CSS already placed the box, hiding it again would flicker
+            loginBox.classList.add('theme-ready');
+        } else if (loginBox) {
             // Small delay to ensure CSS variables are applied
             setTimeout(() => {
                 loginBox.classList.add('theme-ready');
@@ -582,34 +1075,141 @@ class FrappeDeskTheme {
     }
 
     /**
-     * Toggle sidebar visibility based on theme configuration
-     * Adds/removes 'expanded' class to control sidebar state
+     * Desk elements that visibility rules can target by name
+     * Each element has a selector, plus optional CSS or handlers for actions that need more than the default styles
+     * @returns {Object} Element definitions keyed by the rule's element value
      */
-    toggleSidebar() {
-        const sidebarContainer = document.querySelector('.body-sidebar-container');
-        if (!sidebarContainer) {
-            return;
-        }
+    getVisibilityCatalogue() {
+        return {
+            'Sidebar': {
+                selector: '.body-sidebar-container',
+                handlers: {
+                    // Frappe keeps the sidebar open through the 'expanded' class
+                    Collapse: () => {
+                        document.querySelector('.body-sidebar-container')?.classList.remove('expanded');
+                    }
+                }
+            },
+            'App Switcher': {
+                selector: '.app-switcher-dropdown',
+                // The current app stays visible, only the dropdown control goes away
+                css: {
+                    Hide: '.sidebar-item-control { display: none !important; }\n'
+                        + '.app-switcher-dropdown { pointer-events: none !important; }'
+                }
+            },
+            'Help Button': {
+                selector: '.dropdown-help'
+            },
+            'Search Bar': {
+                selector: '.input-group.search-bar'
+            },
+            'Like and Comment Counts': {
+                selector: '.like-icon, .comment-count, .level-item.list-row-activity .mx-2'
+            }
+        };
+    }
 
-        if (this.themeData.hide_side_bar === 0) {
-            sidebarContainer.classList.add('expanded');
-        } else {
-            sidebarContainer.classList.remove('expanded');
+    /**
+     * Check if a selector from a custom rule is valid CSS
+     * @param {string} selector CSS selector
+     * @returns {boolean} True if the browser accepts the selector
+     */
+    isValidSelector(selector) {
+        if (!selector || /[{}<>;]/.test(selector)) {
+            return false;
+        }
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
         }
     }
 
     /**
-     * Toggle search bar visibility based on user roles
-     * Hides search bar if current user's role matches hide_search configuration
+     * Apply the visibility rules of the current theme through a single managed stylesheet
+     * Styles keep working for elements Frappe renders later, so no DOM polling is needed
      */
-    toggleSearchBar() {
-        const searchBar = document.querySelector('.input-group.search-bar.text-muted');
-        if (!searchBar) {
-            return;
+    applyVisibilityRules() {
+        const actionStyles = {
+            Hide: 'display: none !important;',
+            Disable: 'pointer-events: none !important; opacity: 0.5;',
+            Collapse: 'max-height: 0 !important; overflow: hidden !important; padding-top: 0 !important; padding-bottom: 0 !important;'
+        };
+        const catalogue = this.getVisibilityCatalogue();
+        const css = [];
+
+        this.getActiveVisibilityRules().forEach(rule => {
+            // Custom selectors count as custom CSS, safe mode skips them
+            if (rule.element === 'Custom Selector' && this.safeMode) {
+                return;
+            }
+
+            const element = rule.element === 'Custom Selector'
+                ? { selector: (rule.selector || '').trim() }
+                : catalogue[rule.element];
+            if (!element || !actionStyles[rule.action] || !this.isValidSelector(element.selector)) {
+                return;
+            }
+
+            if (element.handlers?.[rule.action]) {
+                element.handlers[rule.action]();
+            } else {
+                css.push(element.css?.[rule.action] || `${element.selector} { ${actionStyles[rule.action]} }`);
+            }
+        });
+
+        this.setManagedStyle('desk-theme-visibility-rules', css.join('\n'));
+    }
+
+    /**
+     * Check if a scoped CSS block applies to the current page
+     * Route blocks match the URL path by prefix, DocType blocks match every view of the DocType
+     * @param {Object} block CSS block row from the theme
+     * @returns {boolean} True if the block applies to the current page
+     */
+    cssBlockMatchesPage(block) {
+        if (block.applies_to === 'DocType') {
+            const [view, doctype] = frappe?.get_route?.() || [];
+            return ['List', 'Form', 'Tree'].includes(view) && doctype === block.document_type;
         }
 
-        if (this.getUserRoles()) {
-            searchBar.style.display = 'none';
+        const trimSlashes = (path) => (path || '').replace(/^\/+|\/+$/g, '').toLowerCase();
+        const route = trimSlashes(block.route);
+        const path = trimSlashes(window.location.pathname);
+        return Boolean(route) && (path === route || path.startsWith(`${route}/`));
+    }
+
+    /**
+     * Inject the theme's custom CSS and the CSS blocks scoped to the current page
+     * Safe mode leaves the managed stylesheet empty
+     */
+    applyCustomCSS() {
+        const css = this.safeMode ? [] : [
+            this.themeData?.custom_css,
+            ...(this.themeData?.css_blocks || [])
+                .filter(block => this.cssBlockMatchesPage(block))
+                .map(block => block.css)
+        ];
+        this.setManagedStyle('desk-theme-custom-css', css.filter(Boolean).join('\n'));
+    }
+
+    /**
+     * Replace the contents of a <style> element owned by the theme, creating it on first use
+     * @param {string} id Element id of the managed stylesheet
+     * @param {string} css Stylesheet contents
+     */
+    setManagedStyle(id, css) {
+        let style = document.getElementById(id);
+        if (!style) {
+            style = document.createElement('style');
+            style.id = id;
+            document.head.appendChild(style);
+        }
+        // Rewriting an unchanged stylesheet still makes the browser restyle the page
+        if (style.textContent !== css) {
+            style.textContent = css;
         }
     }
 
@@ -618,8 +1218,11 @@ class FrappeDeskTheme {
      * Similar to breadcrumbs.js line 83 functionality
      */
     setDefaultApp() {
-        // Only proceed if hide_app_switcher is enabled and default_app is set
-        if (!this.themeData.hide_app_switcher || !this.themeData.default_app) {
+        // Only proceed if a rule hides the app switcher and default_app is set
+        const hidesAppSwitcher = this.getActiveVisibilityRules().some(rule =>
+            rule.element === 'App Switcher' && ['Hide', 'Disable'].includes(rule.action)
+        );
+        if (!hidesAppSwitcher || !this.themeData.default_app) {
             return;
         }
 
@@ -644,7 +1247,10 @@ class FrappeDeskTheme {
             return;
         }
 
-        // Remove existing footer if any
+        // Remove existing footer if any, without the watcher recreating it
+        this.footerObserver?.disconnect();
+        this.footerObserver = null;
+        this.teardownStickyFooterToggle();
         const existingFooter = document.querySelector('#desk-footer');
         if (existingFooter) {
             existingFooter.remove();
@@ -657,7 +1263,8 @@ class FrappeDeskTheme {
         }
 
         // Check if footer should be displayed (basic check to avoid unnecessary API calls)
-        if (!this.themeData.copyright_text && !this.themeData.footer_powered_by) {
+        const theme = this.getSavedThemeData();
+        if (!theme || (!theme.copyright_text && !theme.footer_powered_by && !theme.footer_logo && !theme.footer_links?.length)) {
             return;
         }
 
@@ -669,10 +1276,14 @@ class FrappeDeskTheme {
 
         try {
             // Create a cache key from footer-related theme data
+            // The year is part of the key so {year} placeholders roll over with the calendar
             const currentFooterKey = JSON.stringify({
-                copyright_text: this.themeData.copyright_text,
-                footer_powered_by: this.themeData.footer_powered_by,
-                sticky_footer: this.themeData.sticky_footer
+                copyright_text: theme.copyright_text,
+                footer_powered_by: theme.footer_powered_by,
+                footer_logo: theme.footer_logo,
+                footer_links: theme.footer_links,
+                sticky_footer: theme.sticky_footer,
+                year: new Date().getFullYear()
             });
 
             let footerHtml = this.footerHtmlCache;
@@ -710,18 +1321,13 @@ class FrappeDeskTheme {
             }
 
             if (footerHtml.trim()) {
-                // Create a temporary container to hold the HTML
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = footerHtml;
-                
-                // Get the footer element from the template
-                const footerElement = tempDiv.querySelector('#desk-footer');
+                const footerElement = this.parseFooterHtml(footerHtml);
                 if (footerElement) {
                     // Try to append to main-section first, then fall back to body
                     const mainSection = document.querySelector('.main-section');
                     if (mainSection) {
                         mainSection.appendChild(footerElement);
-                        if (this.themeData.sticky_footer) {
+                        if (theme.sticky_footer) {
                             mainSection.classList.add('has-sticky-footer');
                             // Set up sticky footer sidebar toggle listener
                             this.setupStickyFooterToggle();
@@ -729,12 +1335,13 @@ class FrappeDeskTheme {
                     } else {
                         // Fallback to body if main-section doesn't exist
                         document.body.appendChild(footerElement);
-                        if (this.themeData.sticky_footer) {
+                        if (theme.sticky_footer) {
                             document.body.classList.add('has-sticky-footer');
                             // Set up sticky footer sidebar toggle listener
                             this.setupStickyFooterToggle();
                         }
                     }
+                    this.watchFooter(footerElement);
                 }
             }
         } catch (error) {
@@ -744,16 +1351,41 @@ class FrappeDeskTheme {
         }
     }
 
+    /**
+     * Parse the rendered footer into an element for the desk
+     * The server already sanitizes it, this is a second line of defense: DOMParser builds an
+     * inert document where nothing runs or loads, then scripts, inline styles, event handlers
+     * and script URLs are stripped before the footer joins the page
+     * @param {string} footerHtml HTML from get_footer_html
+     * @returns {HTMLElement|null} The footer element, or null if the HTML has none
+     */
+    parseFooterHtml(footerHtml) {
+        const parsed = new DOMParser().parseFromString(footerHtml, 'text/html');
+        const footer = parsed.querySelector('#desk-footer');
+        if (!footer) {
+            return null;
+        }
+
+        footer.querySelectorAll('script, style, iframe, object, embed, form').forEach(element => element.remove());
+        [footer, ...footer.querySelectorAll('*')].forEach(element => {
+            [...element.attributes].forEach(({ name, value }) => {
+                const isScriptUrl = (name === 'href' || name === 'src')
+                    && /^javascript:/i.test(value.replace(/\s/g, ''));
+                if (name.startsWith('on') || name === 'style' || isScriptUrl) {
+                    element.removeAttribute(name);
+                }
+            });
+        });
+        return document.adoptNode(footer);
+    }
+
     /**
      * Set up dynamic positioning for sticky footer when sidebar toggles
      * Ensures footer position updates in real-time with sidebar state
      */
     setupStickyFooterToggle() {
-        // Avoid setting up multiple listeners
-        if (this.stickyFooterListenerSetup) {
-            return;
-        }
-        this.stickyFooterListenerSetup = true;
+        // One observer and listener at a time, whatever is left from a previous footer goes first
+        this.teardownStickyFooterToggle();
 
         // Function to update sticky footer position
         const updateStickyFooterPosition = () => {
@@ -772,7 +1404,7 @@ class FrappeDeskTheme {
         };
 
         // Listen for sidebar toggle events
-        const observer = new MutationObserver((mutations) => {
+        this.stickyFooterObserver = new MutationObserver((mutations) => {
             mutations.forEach((mutation) => {
                 if (mutation.type === 'attributes' && 
                     mutation.attributeName === 'class' && 
@@ -786,28 +1418,41 @@ class FrappeDeskTheme {
         // Observe sidebar container for class changes
         const sidebarContainer = document.querySelector('.body-sidebar-container');
         if (sidebarContainer) {
-            observer.observe(sidebarContainer, {
+            this.stickyFooterObserver.observe(sidebarContainer, {
                 attributes: true,
                 attributeFilter: ['class']
             });
         }
 
         // Also listen for sidebar toggle via click events
-        document.addEventListener('click', (event) => {
+        this.stickyFooterClickHandler = (event) => {
             // Check if clicked element or its parent is a sidebar toggle
             const isToggle = event.target.closest('.collapse-sidebar-link, .sidebar-toggle, [data-toggle="sidebar"]');
             if (isToggle) {
                 setTimeout(updateStickyFooterPosition, 200); // Allow time for animation
             }
-        });
+        };
+        document.addEventListener('click', this.stickyFooterClickHandler);
 
         // Initial position update
         updateStickyFooterPosition();
     }
 
     /**
-     * Set up event listeners for dynamic theme updates and DOM changes
-     * Handles real-time theme changes and new element detection
+     * Disconnect the sidebar observer and click listener of the sticky footer
+     */
+    teardownStickyFooterToggle() {
+        this.stickyFooterObserver?.disconnect();
+        this.stickyFooterObserver = null;
+        if (this.stickyFooterClickHandler) {
+            document.removeEventListener('click', this.stickyFooterClickHandler);
+            this.stickyFooterClickHandler = null;
+        }
+    }
+
+    /**
+     * Set up event listeners for dynamic theme updates and navigation
+     * Handles real-time theme changes, color scheme switches and page changes
      */
     setupEventListeners() {
         // Listen for theme changes - allows for runtime theme updates
@@ -815,33 +1460,110 @@ class FrappeDeskTheme {
             this.loadTheme().then(() => this.applyTheme());
         });
 
-        // Listen for DOM changes to apply theme to dynamically added elements
-        // Frappe uses dynamic content loading, so we need to monitor for new elements
-        let footerTimeout;
-        const observer = new MutationObserver(() => {
-            this.toggleSearchBar();
-            
-            // Debounce footer creation to avoid performance issues
-            clearTimeout(footerTimeout);
-            footerTimeout = setTimeout(() => {
-                // Only create footer if it doesn't exist
-                if (!document.querySelector('#desk-footer')) {
-                    this.createFooter();
-                }
-            }, 500); // 500ms delay to avoid constant recreation
+        // Switch between light and dark colors when the user's desk theme changes
+        // Frappe updates data-theme for manual switches and for automatic mode following the OS
+        new MutationObserver(() => {
+            if (this.themeData) {
+                this.setCSSVariables();
+            }
+        }).observe(document.documentElement, {
+            attributes: true,
+            attributeFilter: ['data-theme', 'data-theme-mode']
         });
-
-        // Observe all changes in document body and its children
-        observer.observe(document.body, {
-            childList: true,  // Watch for element additions/removals
-            subtree: true     // Watch all descendant nodes
+        window.matchMedia?.('(prefers-color-scheme: dark)').addEventListener?.('change', () => {
+            if (this.themeData && document.documentElement.getAttribute('data-theme-mode') === 'automatic') {
+                this.setCSSVariables();
+            }
         });
 
+        // Scoped CSS blocks follow the current route
+        if (frappe?.router?.on) {
+            frappe.router.on('change', () => {
+                if (this.themeData) {
+                    this.applyCustomCSS();
+                }
+            });
+        }
+
+        // Listen for theme saves from any session - realtime is only available in desk
+        if (frappe?.realtime?.on) {
+            frappe.realtime.on('desk_theme_updated', (data) => {
+                this.onThemeUpdated(data || {});
+            });
+        }
+
+        // Frappe swaps page content on every route, the page lifecycle tells us when a new
+        // page is shown so nothing has to watch the whole document for mutations
+        if (typeof $ === 'function') {
+            $(document).on('page-change', () => this.onPageChange());
+        }
+    }
+
+    /**
+     * Reload the theme after a change announced over realtime
+     * Every session hears every theme save: saves of other users' themes and versions this tab
+     * already shows are skipped, the rest refetch after a random delay so open tabs don't all
+     * hit the server at the same moment
+     * @param {Object} data Realtime payload - theme, theme_version and reassigned for theme saves
+     */
+    onThemeUpdated(data) {
+        if (data.theme) {
+            const currentTheme = this.themeData?.theme_name;
+            // Versions carry the user's override stamp after a colon
+            const currentVersion = String(this.themeData?.theme_version ?? '').split(':')[0];
+            if (data.theme === currentTheme && data.theme_version === currentVersion) {
+                return;
+            }
+            if (currentTheme && data.theme !== currentTheme && !data.reassigned) {
+                return;
+            }
+        }
+
+        clearTimeout(this.themeRefreshTimer);
+        this.themeRefreshTimer = setTimeout(() => this.refreshTheme(), Math.random() * 5000);
+    }
+
+    /**
+     * Re-apply the parts of the theme that depend on the page after Frappe shows another one
+     * Runs once per navigation, list and report rows never trigger it
+     */
+    onPageChange() {
+        if (!this.themeData) {
+            return;
+        }
+        this.applyVisibilityRules();
+        this.ensureFooter();
+    }
+
+    /**
+     * Create the footer when it is missing from the desk, keep the current one otherwise
+     */
+    ensureFooter() {
+        if (!document.querySelector('#desk-footer')) {
+            this.createFooter();
+        }
+    }
+
+    /**
+     * Recreate the footer if something takes it out of its container
+     * Only the direct children of the container are observed, and only while the footer is shown
+     * @param {HTMLElement} footer Footer element that was just added
+     */
+    watchFooter(footer) {
+        this.footerObserver?.disconnect();
+        this.footerObserver = new MutationObserver(() => {
+            if (!footer.isConnected) {
+                this.footerObserver.disconnect();
+                this.footerObserver = null;
+                this.ensureFooter();
+            }
+        });
+        this.footerObserver.observe(footer.parentElement, { childList: true });
     }
 
     // Navigation buttons
     
-    ensureButton(loginPage, images, id, html, onClick) {
+    ensureButton(loginPage, images, id, html, label, onClick) {
         const manual = !!this.themeData.carousel.manual_navigation;
         let btn = document.getElementById(id);
         if (!manual || images.length <= 1) {
@@ -851,6 +1573,8 @@ class FrappeDeskTheme {
         if (!btn) {
             btn = document.createElement('button');
             btn.id = id;
+            btn.type = 'button';
+            btn.setAttribute('aria-label', label);
             btn.className = `carousel-nav ${id === 'carousel-nav-left' ? 'carousel-nav-left' : 'carousel-nav-right'}`;
             btn.innerHTML = html;
             btn.addEventListener('click', onClick);
@@ -859,96 +1583,487 @@ class FrappeDeskTheme {
         return btn;
     };
 
+    /**
+     * Carousel slides of the theme, cached payloads from older versions only carry image URLs
+     * @returns {Array<Object>} Slides with image, caption, subtitle, link, duration and focal_point
+     */
+    getCarouselSlides() {
+        const carousel = this.themeData.carousel || {};
+        return carousel.slides || (carousel.images || []).map(image => ({ image }));
+    }
+
+    /**
+     * How long a slide stays on screen before the carousel advances
+     * @param {Object} slide Carousel slide
+     * @returns {number} Duration in milliseconds
+     */
+    getSlideDuration(slide) {
+        return (slide?.duration || 5) * 1000;
+    }
+
     renderLoginCarousel() {
         const loginPage = document.querySelector('#page-login');
         if (!loginPage) return;
         const root = document.documentElement;
-        const images = this.themeData.carousel.images;
-        if (!images || images.length === 0) return;
+        const carousel = this.themeData.carousel;
+        const slides = this.getCarouselSlides();
+        if (!slides.length) return;
 
         // Set initial state and background
-        if (typeof this._carouselIndex !== 'number' || this._carouselIndex >= images.length) {
+        if (typeof this._carouselIndex !== 'number' || this._carouselIndex >= slides.length) {
             this._carouselIndex = 0;
         }
-        root.style.setProperty('--login-bg-carousel-image', `url("${images[this._carouselIndex]}")`);
+        root.classList.toggle('desk-theme-carousel-slide', carousel.transition === 'Slide');
+        root.classList.toggle('desk-theme-carousel-ken-burns', carousel.transition === 'Ken Burns');
+        this.setCarouselSlide(slides[this._carouselIndex]);
+        this.setImagePlaceholder(slides[this._carouselIndex].image);
 
-        // Remove any previous timer
-        if (this._carouselTimer) {
-            clearTimeout(this._carouselTimer);
-            this._carouselTimer = null;
+        // Reduced motion users start with a still background, they can still press play
+        if (this._carouselStopped === undefined) {
+            this._carouselStopped = this.prefersReducedMotion();
         }
 
-        
-        this.ensureButton(loginPage, images,'carousel-nav-left', '&#8592;', (e) => {
+        this.ensureButton(loginPage, slides, 'carousel-nav-left', '&#8592;', __('Previous slide'), (e) => {
             e.stopPropagation(); e.preventDefault();
-            if (this._carouselTimer) {
-                clearTimeout(this._carouselTimer);
-                this._carouselTimer = null;
-            }
-            this.carouselShowImage(this._carouselIndex - 1, images, root, -1);
+            this.carouselStep(-1);
         });
-        this.ensureButton(loginPage, images,'carousel-nav-right', '&#8594;', (e) => {
+        this.ensureButton(loginPage, slides, 'carousel-nav-right', '&#8594;', __('Next slide'), (e) => {
             e.stopPropagation(); e.preventDefault();
-            if (this._carouselTimer) {
-                clearTimeout(this._carouselTimer);
-                this._carouselTimer = null;
+            this.carouselStep(1);
+        });
+        this.renderCarouselControls(loginPage, slides);
+        this.renderCarouselStatus(loginPage);
+        this.setupCarouselPause(loginPage);
+        this.setupCarouselGestures(loginPage);
+
+        this.scheduleCarouselAdvance();
+    }
+
+    /**
+     * Show a slide: background image, focal point, caption and active dot
+     * @param {Object} slide Carousel slide
+     */
+    setCarouselSlide(slide) {
+        const root = document.documentElement;
+        const imageUrl = this.getResponsiveImageUrl(slide.image);
+        root.style.setProperty('--login-bg-carousel-image', `url("${imageUrl}")`);
+        // Focal point values read as CSS background positions once lowercased, e.g. "top left"
+        root.style.setProperty('--login-bg-position', (slide.focal_point || 'Center').toLowerCase());
+        root.style.setProperty('--carousel-slide-duration', `${this.getSlideDuration(slide)}ms`);
+        // Ken Burns restarts on every slide by alternating between two identical animations
+        this._carouselAnimation = this._carouselAnimation === 'deskThemeKenBurnsA' ? 'deskThemeKenBurnsB' : 'deskThemeKenBurnsA';
+        root.style.setProperty('--carousel-animation-name', this._carouselAnimation);
+
+        this.renderCarouselCaption(slide);
+        this.updateCarouselDots();
+        this.announceCarouselSlide(slide);
+
+        // Fetch the next image while this one is on screen, once this one has loaded
+        const slides = this.getCarouselSlides();
+        if (slides.length > 1) {
+            const next = slides[(this._carouselIndex + 1) % slides.length];
+            this.preloadImage(imageUrl).then(() => this.preloadImage(this.getResponsiveImageUrl(next.image)));
+        }
+    }
+
+    /**
+     * Pick the variant of a background image that fits the viewport and device pixel ratio
+     * Images without generated variants (external URLs, older themes) are used as they are
+     * @param {string} url Original image URL
+     * @returns {string} Smallest variant at least as wide as the screen, or the original URL
+     */
+    getResponsiveImageUrl(url) {
+        const variants = this.themeData.login_image_variants?.[url]?.variants;
+        if (!variants?.length) {
+            return url;
+        }
+        // Beyond 2x the extra pixels are not visible on a background
+        const targetWidth = window.innerWidth * Math.min(window.devicePixelRatio || 1, 2);
+        return (variants.find(variant => variant.width >= targetWidth) || variants[variants.length - 1]).url;
+    }
+
+    /**
+     * Show the low-quality placeholder of a background image until the image has loaded
+     * Only on the login page, desk pages never download the background
+     * @param {string} url Original image URL
+     */
+    setImagePlaceholder(url) {
+        const root = document.documentElement;
+        const placeholder = this.themeData.login_image_variants?.[url]?.placeholder;
+        if (!placeholder || !document.querySelector('#page-login')) {
+            root.style.removeProperty('--login-bg-placeholder');
+            return;
+        }
+        root.style.setProperty('--login-bg-placeholder', `url("${placeholder}")`);
+        this.preloadImage(this.getResponsiveImageUrl(url)).then(() => {
+            root.style.removeProperty('--login-bg-placeholder');
+        });
+    }
+
+    /**
+     * Load an image into the browser cache ahead of showing it
+     * @param {string} url Image URL
+     * @returns {Promise<void>} Resolves once the image has loaded or failed to load
+     */
+    preloadImage(url) {
+        this._preloadedImages = this._preloadedImages || new Map();
+        if (!this._preloadedImages.has(url)) {
+            this._preloadedImages.set(url, new Promise(resolve => {
+                const image = new Image();
+                image.onload = () => resolve();
+                image.onerror = () => resolve();
+                image.src = url;
+            }));
+        }
+        return this._preloadedImages.get(url);
+    }
+
+    /**
+     * Render the caption and subtitle of a slide, linked when the slide has a link
+     * @param {Object} slide Carousel slide
+     */
+    renderCarouselCaption(slide) {
+        let caption = document.getElementById('desk-theme-carousel-caption');
+        if (!slide.caption && !slide.subtitle) {
+            caption?.remove();
+            return;
+        }
+        if (!caption) {
+            caption = document.createElement('div');
+            caption.id = 'desk-theme-carousel-caption';
+            caption.className = 'desk-theme-carousel-caption';
+            document.querySelector('#page-login')?.appendChild(caption);
+        }
+
+        const body = document.createElement(slide.link ? 'a' : 'div');
+        if (slide.link) {
+            body.href = slide.link;
+        }
+        if (slide.caption) {
+            const title = document.createElement('h3');
+            title.textContent = slide.caption;
+            body.appendChild(title);
+        }
+        if (slide.subtitle) {
+            const subtitle = document.createElement('p');
+            subtitle.textContent = slide.subtitle;
+            body.appendChild(subtitle);
+        }
+        caption.replaceChildren(body);
+    }
+
+    /**
+     * Render the carousel controls: a pause/play button and one dot per slide
+     * Clicking a dot jumps to its slide, arrow keys step through slides while a control has focus
+     * @param {HTMLElement} loginPage Login page container
+     * @param {Array<Object>} slides Carousel slides
+     */
+    renderCarouselControls(loginPage, slides) {
+        let controls = document.getElementById('desk-theme-carousel-controls');
+        if (slides.length <= 1) {
+            controls?.remove();
+            return;
+        }
+        if (!controls) {
+            controls = document.createElement('div');
+            controls.id = 'desk-theme-carousel-controls';
+            controls.className = 'desk-theme-carousel-controls';
+            controls.setAttribute('role', 'group');
+            controls.setAttribute('aria-roledescription', __('carousel'));
+            controls.setAttribute('aria-label', __('Background slides'));
+            controls.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                    e.preventDefault();
+                    this.carouselStep(e.key === 'ArrowRight' ? 1 : -1);
+                }
+            });
+            loginPage.appendChild(controls);
+        }
+
+        const buttons = [];
+        if (this.themeData.carousel.auto_advance !== false) {
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.id = 'desk-theme-carousel-toggle';
+            toggle.className = 'desk-theme-carousel-toggle';
+            toggle.addEventListener('click', () => this.setCarouselStopped(!this._carouselStopped));
+            buttons.push(toggle);
+        }
+        slides.forEach((slide, idx) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'desk-theme-carousel-dot';
+            dot.setAttribute('aria-label', __('Slide {0} of {1}', [idx + 1, slides.length]));
+            dot.addEventListener('click', () => {
+                const direction = idx > this._carouselIndex ? 1 : -1;
+                this.carouselShowImage(idx, this.getCarouselSlides(), document.documentElement, direction);
+            });
+            buttons.push(dot);
+        });
+        controls.replaceChildren(...buttons);
+        this.updateCarouselDots();
+        this.updateCarouselToggle();
+    }
+
+    /**
+     * Mark the dot of the current slide as active
+     */
+    updateCarouselDots() {
+        document.querySelectorAll('.desk-theme-carousel-dot').forEach((dot, idx) => {
+            const active = idx === this._carouselIndex;
+            dot.classList.toggle('active', active);
+            dot.setAttribute('aria-current', active ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Label the pause/play button after the current state
+     */
+    updateCarouselToggle() {
+        const toggle = document.getElementById('desk-theme-carousel-toggle');
+        if (!toggle) {
+            return;
+        }
+        toggle.classList.toggle('paused', !!this._carouselStopped);
+        toggle.setAttribute('aria-label', this._carouselStopped ? __('Play slideshow') : __('Pause slideshow'));
+        toggle.innerHTML = this._carouselStopped ? '&#9654;' : '&#10073;&#10073;';
+    }
+
+    /**
+     * Stop or restart the automatic rotation from the pause/play button
+     * @param {boolean} stopped Whether the slideshow should stay on the current slide
+     */
+    setCarouselStopped(stopped) {
+        this._carouselStopped = stopped;
+        this.updateCarouselToggle();
+        this.updateCarouselLiveRegion();
+        this.scheduleCarouselAdvance();
+    }
+
+    /**
+     * Render the visually hidden live region that announces slide changes
+     * @param {HTMLElement} loginPage Login page container
+     */
+    renderCarouselStatus(loginPage) {
+        if (!document.getElementById('desk-theme-carousel-status')) {
+            const status = document.createElement('div');
+            status.id = 'desk-theme-carousel-status';
+            status.className = 'sr-only';
+            status.setAttribute('aria-atomic', 'true');
+            loginPage.appendChild(status);
+        }
+        this.updateCarouselLiveRegion();
+    }
+
+    /**
+     * Only announce slides that change while the slideshow is not rotating by itself,
+     * announcing every automatic change would keep interrupting screen reader users
+     */
+    updateCarouselLiveRegion() {
+        const rotating = this.themeData.carousel?.auto_advance !== false && !this._carouselStopped;
+        document.getElementById('desk-theme-carousel-status')
+            ?.setAttribute('aria-live', rotating ? 'off' : 'polite');
+    }
+
+    /**
+     * Announce the current slide in the live region
+     * @param {Object} slide Carousel slide
+     */
+    announceCarouselSlide(slide) {
+        const status = document.getElementById('desk-theme-carousel-status');
+        // Re-applying the theme shows the same slide again, it is not a change
+        if (!status || status.dataset.index === String(this._carouselIndex)) {
+            return;
+        }
+        status.dataset.index = this._carouselIndex;
+        const position = __('Slide {0} of {1}', [this._carouselIndex + 1, this.getCarouselSlides().length]);
+        status.textContent = slide.caption ? `${position}: ${slide.caption}` : position;
+    }
+
+    /**
+     * Whether the user asked the OS for reduced motion
+     * @returns {boolean} True when animations should be avoided
+     */
+    prefersReducedMotion() {
+        return !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Move one slide back or forward
+     * @param {number} direction -1 for the previous slide, 1 for the next one
+     */
+    carouselStep(direction) {
+        this.carouselShowImage(this._carouselIndex + direction, this.getCarouselSlides(), document.documentElement, direction);
+    }
+
+    /**
+     * Swipe left or right on the page background to change slides on touch devices
+     * Swipes that start on the login form are left alone
+     * @param {HTMLElement} loginPage Login page container
+     */
+    setupCarouselGestures(loginPage) {
+        if (this._carouselGesturesBound) {
+            return;
+        }
+        this._carouselGesturesBound = true;
+
+        let start = null;
+        loginPage.addEventListener('touchstart', (e) => {
+            const onForm = e.target.closest('.page-card, input, textarea, select, button, a');
+            start = !onForm && e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+        }, { passive: true });
+        loginPage.addEventListener('touchend', (e) => {
+            if (!start || !this.themeData.carousel) {
+                return;
+            }
+            const deltaX = e.changedTouches[0].clientX - start.x;
+            const deltaY = e.changedTouches[0].clientY - start.y;
+            start = null;
+            // Mostly horizontal and long enough to not be a tap or a scroll
+            if (Math.abs(deltaX) > 50 && Math.abs(deltaX) > Math.abs(deltaY)) {
+                this.carouselStep(deltaX < 0 ? 1 : -1);
             }
-            this.carouselShowImage(this._carouselIndex + 1, images, root, 1);
         });
+    }
 
-        // Auto-advance: handled in carouselShowImage after animation
-        if (this.themeData.carousel.auto_advance !== false && images.length > 1 && !this._carouselTimer) {
-            this._carouselTimer = setTimeout(() => {
-                this._carouselTimer = null;
-                this.carouselShowImage(this._carouselIndex + 1, images, root, 1);
-            }, 5000);
+    /**
+     * Pause the carousel while the pointer is over a caption or the slide controls,
+     * and always while keyboard focus is on them
+     * Bound once, the theme setting is read on every event
+     * @param {HTMLElement} loginPage Login page container
+     */
+    setupCarouselPause(loginPage) {
+        if (this._carouselPauseBound) {
+            return;
+        }
+        this._carouselPauseBound = true;
+
+        const controls = '.desk-theme-carousel-caption, .desk-theme-carousel-controls, .carousel-nav';
+        const pause = () => {
+            if (!this._carouselPaused) {
+                this._carouselPaused = true;
+                this.stopCarouselTimer();
+            }
+        };
+        const resume = () => {
+            if (this._carouselPaused) {
+                this._carouselPaused = false;
+                this.scheduleCarouselAdvance();
+            }
+        };
+
+        loginPage.addEventListener('mouseover', (e) => {
+            if (this.themeData.carousel?.pause_on_hover && e.target.closest(controls)) {
+                pause();
+            }
+        });
+        loginPage.addEventListener('mouseout', (e) => {
+            const stillInside = e.relatedTarget?.closest?.(controls);
+            if (!stillInside && !document.activeElement?.closest(controls)) {
+                resume();
+            }
+        });
+        loginPage.addEventListener('focusin', (e) => {
+            if (e.target.closest(controls)) {
+                pause();
+            }
+        });
+        loginPage.addEventListener('focusout', (e) => {
+            if (!e.relatedTarget?.closest?.(controls)) {
+                resume();
+            }
+        });
+    }
+
+    /**
+     * Advance to the next slide once the current one has been shown for its duration
+     */
+    scheduleCarouselAdvance() {
+        this.stopCarouselTimer();
+        const slides = this.getCarouselSlides();
+        const carousel = this.themeData.carousel;
+        if (carousel?.auto_advance === false || slides.length <= 1 || this._carouselPaused || this._carouselStopped) {
+            return;
+        }
+        this._carouselTimer = setTimeout(() => {
+            this._carouselTimer = null;
+            this.carouselShowImage(this._carouselIndex + 1, slides, document.documentElement, 1);
+        }, this.getSlideDuration(slides[this._carouselIndex]));
+    }
+
+    stopCarouselTimer() {
+        if (this._carouselTimer) {
+            clearTimeout(this._carouselTimer);
+            this._carouselTimer = null;
         }
     }
-    
 
-    carouselShowImage(idx, images, root, direction = 1) {
-        const total = images.length;
+    async carouselShowImage(idx, slides, root, direction = 1) {
+        const total = slides.length;
         idx = (idx + total) % total;
         if (idx === this._carouselIndex || this._carouselSliding) return;
 
         this._carouselSliding = true;
-        // Fade out
-        root.style.setProperty('--carousel-fade-opacity', '0');
-        setTimeout(() => {
-            root.style.setProperty('--login-bg-carousel-image', `url("${images[idx]}")`);
-            root.style.setProperty('--carousel-fade-opacity', '1');
+        this.stopCarouselTimer();
+        const slideTransition = this.themeData.carousel.transition === 'Slide';
+
+        // Keep the current slide until the next image is ready, so the swap never shows a blank page
+        await this.preloadImage(this.getResponsiveImageUrl(slides[idx].image));
+
+        const showSlide = () => {
             this._carouselIndex = idx;
+            this.setCarouselSlide(slides[idx]);
+            root.style.setProperty('--carousel-fade-opacity', '1');
             this._carouselSliding = false;
-            // Auto-advance
-            const auto = this.themeData.carousel.auto_advance !== false;
-            if (auto && images.length > 1 && !this._carouselTimer) {
-                this._carouselTimer = setTimeout(() => {
-                    this._carouselTimer = null;
-                    this.carouselShowImage(this._carouselIndex + 1, images, root, 1);
-                }, 5000);
+            this.scheduleCarouselAdvance();
+        };
+
+        // Without transitions a fade out would blank the page until the timeout, swap at once
+        if (this.prefersReducedMotion()) {
+            showSlide();
+            return;
+        }
+
+        // Fade out, sliding away from the direction of travel
+        root.style.setProperty('--carousel-fade-opacity', '0');
+        if (slideTransition) {
+            root.style.setProperty('--carousel-offset', `${-5 * direction}%`);
+        }
+        setTimeout(() => {
+            if (slideTransition) {
+                // Jump to the other side without animating, then slide in
+                root.classList.add('desk-theme-carousel-instant');
+                root.style.setProperty('--carousel-offset', `${5 * direction}%`);
+                root.getBoundingClientRect();
+                root.classList.remove('desk-theme-carousel-instant');
+                root.style.setProperty('--carousel-offset', '0');
             }
+            showSlide();
         }, 400);
     }
-    
-    
-    
 
     removeLoginCarousel() {
-        // Remove navigation buttons if present
-        const left = document.getElementById('carousel-nav-left');
-        const right = document.getElementById('carousel-nav-right');
-        if (left) left.remove();
-        if (right) right.remove();
-        if (this._carouselTimer) {
-            clearTimeout(this._carouselTimer);
-            this._carouselTimer = null;
-        }
-        // Remove the CSS variable
-        document.documentElement.style.removeProperty('--login-bg-carousel-image');
+        // Remove navigation buttons, dots and caption if present
+        [
+            'carousel-nav-left', 'carousel-nav-right', 'desk-theme-carousel-controls', 'desk-theme-carousel-caption',
+            'desk-theme-carousel-status'
+        ].forEach(id => {
+            document.getElementById(id)?.remove();
+        });
+        this.stopCarouselTimer();
+        // Remove the CSS variables
+        const root = document.documentElement;
+        ['--login-bg-carousel-image', '--login-bg-position', '--carousel-slide-duration', '--carousel-animation-name', '--carousel-offset'].forEach(variable => {
+            root.style.removeProperty(variable);
+        });
+        root.classList.remove('desk-theme-carousel-slide', 'desk-theme-carousel-ken-burns');
         this._carouselIndex = 0;
     }
 }
 
+// Desk pages have boot info before the DOM is ready, their theme CSS goes in right away
+FrappeDeskTheme.insertBootCSS();
+
 // Initialize theme system when DOM is ready
 // Handles both immediate initialization and delayed initialization for slow-loading pages
 if (document.readyState === 'loading') {
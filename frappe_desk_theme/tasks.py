@@ -0,0 +1,13 @@
+import frappe
+
+from frappe_desk_theme.api import get_scheduled_themes
+
+
+def publish_scheduled_theme_changes():
+	"""Reload the theme in open desks when a scheduled theme window opens or closes"""
+	active, _inactive = get_scheduled_themes()
+	previous = frappe.cache().get_value("desk_theme_active_schedules")
+	frappe.cache().set_value("desk_theme_active_schedules", sorted(active))
+
+	if previous is not None and set(previous) != active:
+		frappe.publish_realtime("desk_theme_updated", {"scheduled": True})
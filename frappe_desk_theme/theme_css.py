@@ -0,0 +1,138 @@
+"""Theme CSS rendered on the server, so the first paint already has the theme's colors
+
+The client script takes over once it runs and removes this CSS, it only covers the
+time before that: first visits, cleared storage and the desk rendering before the theme loads.
+"""
+
+import re
+
+from frappe.utils import cint
+
+from frappe_desk_theme.api import get_theme_fields, get_user_overrides
+
+# Theme field -> CSS variables it sets, mirrors FrappeDeskTheme.setCSSVariables
+THEME_VARIABLES = {
+	"login_button_background_color": ("--login-btn-bg",),
+	"login_button_text_color": ("--login-btn-color",),
+	"login_page_button_hover_background_color": ("--login-btn-hover-bg",),
+	"login_page_button_hover_text_color": ("--login-btn-hover-color",),
+	"login_box_background_color": ("--login-box-bg",),
+	"page_heading_text_color": ("--page-heading-color",),
+	"input_background_color": ("--input-bg",),
+	"input_text_color": ("--input-color",),
+	"input_border_color": ("--input-border",),
+	"input_label_color": ("--input-label-color",),
+	"navbar_color": ("--navbar-bg",),
+	"navbar_text_color": ("--navbar-color",),
+	"button_background_color": ("--btn-primary-bg",),
+	"button_text_color": ("--btn-primary-color",),
+	"button_hover_background_color": ("--btn-primary-hover-bg",),
+	"button_hover_text_color": ("--btn-primary-hover-color",),
+	"secondary_button_background_color": ("--btn-secondary-bg",),
+	"secondary_button_text_color": ("--btn-secondary-color",),
+	"secondary_button_hover_background_color": ("--btn-secondary-hover-bg",),
+	"secondary_button_hover_text_color": ("--btn-secondary-hover-color",),
+	"body_background_color": ("--body-bg",),
+	"main_body_content_box_background_color": ("--content-bg",),
+	"main_body_content_box_text_color": ("--content-text-color",),
+	"sidebar_background_color": ("--sidebar-bg",),
+	"sidebar_text_color": ("--sidebar-text-color",),
+	"table_head_background_color": ("--table-head-bg",),
+	"table_head_text_color": ("--table-head-color",),
+	"table_body_background_color": ("--table-body-bg",),
+	"table_body_text_color": ("--table-body-color",),
+	"number_card_background_color": ("--widget-bg",),
+	"number_card_border_color": ("--widget-border",),
+	"number_card_text_color": ("--widget-color",),
+	"footer_background_color": ("--footer-bg",),
+	"footer_text_color": ("--footer-color", "--footer-powered-color"),
+}
+
+# The CSS goes into a <style> element, values must stay plain colors and lengths
+SAFE_VALUE = re.compile(r"^[\w#%., ()-]+$")
+
+# Characters escaped inside a CSS string, "<" keeps "</style>" out of the element
+CSS_STRING_ESCAPES = re.compile(r'[\\"<>\n\r]')
+
+
+def get_theme_css(theme, user=None):
+	"""Return the CSS custom properties of a theme as resolved for a user, dark variants included"""
+	values = {fieldname: theme.get(fieldname) for fieldname in get_theme_fields(user)}
+	values.update(get_user_overrides(theme, user))
+	has_carousel = bool((theme.get_carousel_data() or {}).get("images"))
+
+	light = get_variables(values, has_carousel)
+	dark_values = {
+		**values,
+		**{
+			fieldname[len("dark_") :]: value
+			for fieldname, value in values.items()
+			if fieldname.startswith("dark_") and value
+		},
+	}
+	dark = {
+		name: value
+		for name, value in get_variables(dark_values, has_carousel).items()
+		if light.get(name) != value
+	}
+
+	css = [get_rule(":root", light), get_rule(':root[data-theme="dark"]', dark)]
+	# Classic layouts are fully described by the variables, the login box needs no wait for the script
+	if (values.get("login_layout") or "Classic") == "Classic":
+		css.append(".for-login { opacity: 1; transform: none; animation: none; }")
+	return "\n".join(rule for rule in css if rule)
+
+
+def get_variables(values, has_carousel):
+	variables = {}
+	for fieldname, names in THEME_VARIABLES.items():
+		if values.get(fieldname):
+			variables.update(dict.fromkeys(names, values[fieldname]))
+
+	# Carousels draw their own background
+	if values.get("login_page_background_color") and not has_carousel:
+		variables["--login-bg-color"] = values["login_page_background_color"]
+
+	if cint(values.get("is_app_details_inside_the_box")):
+		if values.get("login_box_background_color"):
+			variables["--login-box-bg-override"] = values["login_box_background_color"]
+		variables["--login-box-border-radius"] = "10px"
+		variables["--login-content-border"] = "none"
+
+	if (values.get("login_layout") or "Classic") == "Classic":
+		position = values.get("login_box_position")
+		if position and position != "Default":
+			side_offset = values.get("login_box_side_offset")
+			side_offset = f"{10 if side_offset is None else side_offset}%"
+			variables["--login-box-position"] = "absolute"
+			variables["--login-box-right"] = side_offset if position == "Right" else "auto"
+			variables["--login-box-left"] = side_offset if position == "Left" else "auto"
+			variables["--login-box-padding"] = (
+				"18px 40px 40px 40px" if cint(values.get("is_app_details_inside_the_box")) else "40px"
+			)
+		if values.get("login_box_top_offset") is not None:
+			variables["--login-box-top"] = f"{values['login_box_top_offset']}%"
+
+	variables = {name: str(value) for name, value in variables.items() if SAFE_VALUE.match(str(value))}
+
+	# The custom title replaces Frappe's, it is the only free text value
+	if values.get("login_page_title"):
+		variables["--login-title-display"] = "none"
+		variables["--login-title-after-display"] = "flex"
+		variables["--login-title-after-justify"] = "center"
+		variables["--login-title-after-margin"] = "10px"
+		variables["--login-title-after-content"] = get_css_string(values["login_page_title"])
+		if "--page-heading-color" in variables:
+			variables["--login-title-after-color"] = variables["--page-heading-color"]
+
+	return variables
+
+
+def get_css_string(text):
+	return '"' + CSS_STRING_ESCAPES.sub(lambda match: f"\\{ord(match.group()):x} ", text) + '"'
+
+
+def get_rule(selector, variables):
+	if not variables:
+		return ""
+	return selector + " { " + " ".join(f"{name}: {value};" for name, value in variables.items()) + " }"